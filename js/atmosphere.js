@@ -0,0 +1,323 @@
+import * as THREE from 'three';
+
+/**
+ * Atmospheric scattering shell around the Solaris ocean
+ * Single Rayleigh and Mie scattering ray-marched through an exponential
+ * atmosphere and lit by every sun in its own color. From orbit it shows
+ * as a colored limb; on the surface it tints the horizon
+ */
+
+const MAX_SUNS = 4;
+const VIEW_SAMPLES = 12;
+const LIGHT_SAMPLES = 4;
+
+const DEFAULTS = {
+    thickness: 1,
+    density: 1,
+    rayleighHeight: 0.25,
+    mieHeight: 0.1,
+    rayleigh: [0.12, 0.28, 0.6],
+    mie: 0.1,
+    mieG: 0.7,
+    intensity: 10
+};
+
+const vertexShader = `
+varying vec3 vWorldPosition;
+varying vec3 vCenter;
+
+void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    vCenter = modelMatrix[3].xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+}
+`;
+
+const fragmentShader = `
+#define PI 3.14159265359
+uniform vec3 uSunPositions[${MAX_SUNS}];
+uniform vec3 uSunColors[${MAX_SUNS}];
+uniform int uSunCount;
+uniform float uPlanetRadius;
+uniform float uAtmosphereRadius;
+uniform float uDensity;
+uniform float uRayleighHeight;
+uniform float uMieHeight;
+uniform vec3 uRayleigh;
+uniform float uMie;
+uniform float uMieG;
+uniform float uIntensity;
+varying vec3 vWorldPosition;
+varying vec3 vCenter;
+
+// Distances along the ray to where it enters and leaves a sphere at the origin; both -1 on a miss
+vec2 raySphere(vec3 origin, vec3 direction, float radius) {
+    float b = dot(origin, direction);
+    float c = dot(origin, origin) - radius * radius;
+    float d = b * b - c;
+    if (d < 0.0) return vec2(-1.0);
+    d = sqrt(d);
+    return vec2(-b - d, -b + d);
+}
+
+// Optical depth (Rayleigh, Mie) from a point toward the top of the atmosphere
+vec2 lightDepth(vec3 point, vec3 direction) {
+    float span = raySphere(point, direction, uAtmosphereRadius).y;
+    float stepSize = span / float(${LIGHT_SAMPLES});
+    vec2 depth = vec2(0.0);
+    for (int i = 0; i < ${LIGHT_SAMPLES}; i++) {
+        float height = length(point + direction * stepSize * (float(i) + 0.5)) - uPlanetRadius;
+        depth += exp(-height / vec2(uRayleighHeight, uMieHeight)) * stepSize;
+    }
+    return depth * uDensity;
+}
+
+void main() {
+    vec3 origin = cameraPosition - vCenter;
+    vec3 direction = normalize(vWorldPosition - cameraPosition);
+
+    // Only the part of the view ray inside the shell and in front of the ocean scatters
+    vec2 shell = raySphere(origin, direction, uAtmosphereRadius);
+    if (shell.y < 0.0) discard;
+    float start = max(shell.x, 0.0);
+    float end = shell.y;
+    vec2 planet = raySphere(origin, direction, uPlanetRadius);
+    if (planet.x > 0.0) end = min(end, planet.x);
+
+    float stepSize = (end - start) / float(${VIEW_SAMPLES});
+    vec2 viewDepth = vec2(0.0);
+    vec3 color = vec3(0.0);
+    float g2 = uMieG * uMieG;
+
+    for (int i = 0; i < ${VIEW_SAMPLES}; i++) {
+        vec3 point = origin + direction * (start + stepSize * (float(i) + 0.5));
+        float height = length(point) - uPlanetRadius;
+        vec2 density = exp(-height / vec2(uRayleighHeight, uMieHeight)) * stepSize * uDensity;
+        viewDepth += density;
+
+        for (int s = 0; s < ${MAX_SUNS}; s++) {
+            if (s >= uSunCount) break;
+
+            vec3 toSun = normalize(uSunPositions[s] - vCenter - point);
+            // Nothing scatters in the planet's shadow
+            vec2 blocked = raySphere(point, toSun, uPlanetRadius);
+            if (blocked.x > 0.0) continue;
+
+            vec2 depth = viewDepth + lightDepth(point, toSun);
+            vec3 attenuation = exp(-(uRayleigh * depth.x + uMie * 1.1 * depth.y));
+
+            float mu = dot(direction, toSun);
+            float rayleighPhase = 3.0 / (16.0 * PI) * (1.0 + mu * mu);
+            float miePhase = 3.0 / (8.0 * PI) * ((1.0 - g2) * (1.0 + mu * mu)) /
+                ((2.0 + g2) * pow(1.0 + g2 - 2.0 * uMieG * mu, 1.5));
+
+            color += uSunColors[s] * attenuation *
+                (uRayleigh * density.x * rayleighPhase + uMie * density.y * miePhase);
+        }
+    }
+
+    gl_FragColor = vec4(color * uIntensity, 1.0);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+export class SolarisAtmosphere {
+    /**
+     * @param {THREE.Scene} scene - Scene the shell is added to
+     * @param {number} [oceanRadius=5] - Radius of the ocean the atmosphere sits on
+     * @param {Object} options
+     * @param {boolean} [options.enabled=true] - Show the shell
+     * @param {number} [options.thickness=1] - Height of the shell above the ocean
+     * @param {number} [options.density=1] - Multiplier on all scattering
+     * @param {number} [options.rayleighHeight=0.25] - Height over which molecular density falls by 1/e
+     * @param {number} [options.mieHeight=0.1] - Height over which haze density falls by 1/e
+     * @param {number[]} [options.rayleigh=[0.12, 0.28, 0.6]] - Rayleigh scattering per unit length, red, green, blue
+     * @param {number} [options.mie=0.1] - Mie (haze) scattering per unit length
+     * @param {number} [options.mieG=0.7] - Mie anisotropy, 0 (even) to 1 (strongly forward)
+     * @param {number} [options.intensity=10] - Brightness of the scattered sunlight
+     */
+    constructor(scene, oceanRadius = 5, options = {}) {
+        this.scene = scene;
+        this.oceanRadius = oceanRadius;
+        this.isEnabled = options.enabled !== false;
+
+        this.config = {
+            thickness: options.thickness || DEFAULTS.thickness,
+            density: options.density ?? DEFAULTS.density,
+            rayleighHeight: options.rayleighHeight || DEFAULTS.rayleighHeight,
+            mieHeight: options.mieHeight || DEFAULTS.mieHeight,
+            rayleigh: options.rayleigh || DEFAULTS.rayleigh,
+            mie: options.mie ?? DEFAULTS.mie,
+            mieG: options.mieG ?? DEFAULTS.mieG,
+            intensity: options.intensity ?? DEFAULTS.intensity
+        };
+
+        this.sunData = null; // Will store sun positions and colors
+
+        this.init();
+    }
+
+    init() {
+        this.uniforms = {
+            uSunPositions: { value: Array.from({ length: MAX_SUNS }, () => new THREE.Vector3()) },
+            uSunColors: { value: Array.from({ length: MAX_SUNS }, () => new THREE.Color()) },
+            uSunCount: { value: 0 },
+            uPlanetRadius: { value: this.oceanRadius },
+            uAtmosphereRadius: { value: 0 },
+            uDensity: { value: 0 },
+            uRayleighHeight: { value: 0 },
+            uMieHeight: { value: 0 },
+            uRayleigh: { value: new THREE.Vector3() },
+            uMie: { value: 0 },
+            uMieG: { value: 0 },
+            uIntensity: { value: 0 }
+        };
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader,
+            fragmentShader,
+            side: THREE.BackSide,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        // The back faces cover the shell from outside and inside alike
+        this.mesh = new THREE.Mesh(new THREE.SphereGeometry(1, 64, 32), this.material);
+        this.mesh.visible = this.isEnabled;
+        this.scene.add(this.mesh);
+
+        this.applyConfig();
+    }
+
+    // Push the config into the shader
+    applyConfig() {
+        const { thickness, density, rayleighHeight, mieHeight, rayleigh, mie, mieG, intensity } = this.config;
+        const atmosphereRadius = this.oceanRadius + thickness;
+
+        this.mesh.scale.setScalar(atmosphereRadius);
+        this.uniforms.uAtmosphereRadius.value = atmosphereRadius;
+        this.uniforms.uDensity.value = density;
+        this.uniforms.uRayleighHeight.value = rayleighHeight;
+        this.uniforms.uMieHeight.value = mieHeight;
+        this.uniforms.uRayleigh.value.fromArray(rayleigh);
+        this.uniforms.uMie.value = mie;
+        this.uniforms.uMieG.value = mieG;
+        this.uniforms.uIntensity.value = intensity;
+    }
+
+    /**
+     * Set the suns lighting the atmosphere
+     * @param {Array} suns - Array of sun objects from createSuns (position, color)
+     */
+    setSunData(suns) {
+        this.sunData = suns.slice(0, MAX_SUNS);
+        this.uniforms.uSunCount.value = this.sunData.length;
+        this.sunData.forEach((sun, i) => this.uniforms.uSunColors.value[i].copy(sun.color));
+    }
+
+    update(deltaTime) {
+        if (this.sunData) {
+            this.sunData.forEach((sun, i) => this.uniforms.uSunPositions.value[i].copy(sun.position));
+        }
+    }
+
+    /**
+     * Change the scattering
+     * @param {Object} options - Any of the constructor's scattering options
+     */
+    setScattering(options) {
+        Object.assign(this.config, options);
+        this.applyConfig();
+    }
+
+    /**
+     * Show or hide the shell
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.isEnabled = enabled;
+        this.mesh.visible = enabled;
+    }
+
+    isAtmosphereMesh(object) {
+        return object === this.mesh;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.material.dispose();
+    }
+
+    // Presets matching the moods of SolarisFog.presets
+    static presets = {
+        // Hazy violet limb with strong sun halos
+        mysterious: {
+            density: 1.4,
+            rayleigh: [0.2, 0.14, 0.45],
+            mie: 0.35,
+            mieG: 0.75,
+            mieHeight: 0.15,
+            intensity: 10
+        },
+
+        // Thin, clean air with a crisp blue rim
+        clear: {
+            density: 0.6,
+            rayleigh: [0.12, 0.28, 0.6],
+            mie: 0.08,
+            mieG: 0.7,
+            intensity: 12
+        },
+
+        // Thick, low atmosphere that smothers the horizon
+        heavy: {
+            density: 2.5,
+            rayleighHeight: 0.18,
+            rayleigh: [0.14, 0.1, 0.3],
+            mie: 0.6,
+            mieG: 0.6,
+            mieHeight: 0.12,
+            intensity: 6
+        },
+
+        // Tall, glowing shell that carries the suns' colors far out
+        ethereal: {
+            thickness: 1.6,
+            density: 1,
+            rayleighHeight: 0.45,
+            rayleigh: [0.3, 0.2, 0.45],
+            mie: 0.25,
+            mieG: 0.5,
+            mieHeight: 0.3,
+            intensity: 12
+        },
+
+        // No atmosphere
+        none: {
+            enabled: false
+        }
+    };
+
+    /**
+     * Apply a preset configuration
+     * @param {string} presetName - Name of the preset, as for SolarisFog
+     */
+    applyPreset(presetName) {
+        if (!SolarisAtmosphere.presets[presetName]) {
+            console.warn(`Atmosphere preset "${presetName}" not found`);
+            return;
+        }
+
+        const { enabled, ...preset } = SolarisAtmosphere.presets[presetName];
+        this.setEnabled(enabled !== false);
+        // Settings the preset leaves out go back to the defaults
+        this.setScattering({ ...DEFAULTS, ...preset });
+    }
+}
+
+export default SolarisAtmosphere;
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { BLOOM_LAYER } from './layers.js';
 
 /**
  * Bioluminescent depth effects for the Solaris ocean
@@ -6,12 +7,14 @@ import * as THREE from 'three';
  * suggesting internal complexity and alien thought processes
  */
 export class SolarisBioluminescence {
-  constructor(scene, oceanRadius = 5) {
+  constructor(scene, oceanRadius = 5, options = {}) {
     this.scene = scene;
     this.oceanRadius = oceanRadius;
+    this.random = options.random || Math.random;
     this.lightOrbs = [];
     this.electricDischarges = [];
     this.time = 0;
+    this.memorySampler = null;
     
     this.init();
   }
@@ -30,7 +33,7 @@ export class SolarisBioluminescence {
     
     for (let i = 0; i < orbCount; i++) {
       // Create glowing sphere geometry
-      const size = 0.1 + Math.random() * 0.15;
+      const size = 0.1 + this.random() * 0.15;
       const orbGeometry = new THREE.SphereGeometry(size, 16, 16);
       
       // Shader material for pulsing glow
@@ -38,9 +41,9 @@ export class SolarisBioluminescence {
         uniforms: {
           time: { value: 0 },
           color: { value: new THREE.Color() },
-          pulseSpeed: { value: 0.5 + Math.random() * 1.5 },
-          pulsePhase: { value: Math.random() * Math.PI * 2 },
-          glowIntensity: { value: 0.4 + Math.random() * 0.4 }
+          pulseSpeed: { value: 0.5 + this.random() * 1.5 },
+          pulsePhase: { value: this.random() * Math.PI * 2 },
+          glowIntensity: { value: 0 }
         },
         vertexShader: `
           varying vec3 vNormal;
@@ -78,6 +81,8 @@ export class SolarisBioluminescence {
             float alpha = (glow * 0.6 + fresnel * 0.4) * pulse;
             
             gl_FragColor = vec4(finalColor, alpha);
+            #include <tonemapping_fragment>
+            #include <colorspace_fragment>
           }
         `,
         transparent: true,
@@ -87,18 +92,23 @@ export class SolarisBioluminescence {
       });
       
       const orb = new THREE.Mesh(orbGeometry, orbMaterial);
+      orb.layers.enable(BLOOM_LAYER);
+      
+      // Remember the base glow so setIntensity() can scale it later
+      orb.userData.baseGlowIntensity = 0.4 + this.random() * 0.4;
+      orbMaterial.uniforms.glowIntensity.value = orb.userData.baseGlowIntensity;
       
       // Random position inside the ocean sphere
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      const r = Math.random() * (this.oceanRadius - 0.5); // Stay inside
+      const theta = this.random() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random() - 1);
+      const r = this.random() * (this.oceanRadius - 0.5); // Stay inside
       
       orb.position.x = r * Math.sin(phi) * Math.cos(theta);
       orb.position.y = r * Math.sin(phi) * Math.sin(theta);
       orb.position.z = r * Math.cos(phi);
       
       // Random color - cool deep ocean tones with occasional warm spots
-      const colorChoice = Math.random();
+      const colorChoice = this.random();
       if (colorChoice < 0.4) {
         // Deep blue-violet
         orbMaterial.uniforms.color.value.setHex(0x6B4C9A);
@@ -114,10 +124,10 @@ export class SolarisBioluminescence {
       }
       
       // Drift properties
-      orb.userData.driftSpeed = 0.02 + Math.random() * 0.03;
-      orb.userData.driftAngle = Math.random() * Math.PI * 2;
-      orb.userData.verticalDrift = (Math.random() - 0.5) * 0.01;
-      orb.userData.orbitSpeed = (Math.random() - 0.5) * 0.1;
+      orb.userData.driftSpeed = 0.02 + this.random() * 0.03;
+      orb.userData.driftAngle = this.random() * Math.PI * 2;
+      orb.userData.verticalDrift = (this.random() - 0.5) * 0.01;
+      orb.userData.orbitSpeed = (this.random() - 0.5) * 0.1;
       
       this.lightOrbs.push(orb);
       this.scene.add(orb);
@@ -134,13 +144,13 @@ export class SolarisBioluminescence {
       const segments = 12;
       
       // Start and end points inside the ocean
-      const startTheta = Math.random() * Math.PI * 2;
-      const startPhi = Math.acos(2 * Math.random() - 1);
-      const startR = Math.random() * (this.oceanRadius - 1);
+      const startTheta = this.random() * Math.PI * 2;
+      const startPhi = Math.acos(2 * this.random() - 1);
+      const startR = this.random() * (this.oceanRadius - 1);
       
-      const endTheta = Math.random() * Math.PI * 2;
-      const endPhi = Math.acos(2 * Math.random() - 1);
-      const endR = Math.random() * (this.oceanRadius - 1);
+      const endTheta = this.random() * Math.PI * 2;
+      const endPhi = Math.acos(2 * this.random() - 1);
+      const endR = this.random() * (this.oceanRadius - 1);
       
       const start = new THREE.Vector3(
         startR * Math.sin(startPhi) * Math.cos(startTheta),
@@ -161,9 +171,9 @@ export class SolarisBioluminescence {
         
         // Add random jitter (less in middle, more at ends for organic look)
         const jitterAmount = Math.sin(t * Math.PI) * 0.3;
-        point.x += (Math.random() - 0.5) * jitterAmount;
-        point.y += (Math.random() - 0.5) * jitterAmount;
-        point.z += (Math.random() - 0.5) * jitterAmount;
+        point.x += (this.random() - 0.5) * jitterAmount;
+        point.y += (this.random() - 0.5) * jitterAmount;
+        point.z += (this.random() - 0.5) * jitterAmount;
         
         points.push(point);
       }
@@ -176,8 +186,8 @@ export class SolarisBioluminescence {
           time: { value: 0 },
           color: { value: new THREE.Color(0x88CCFF) },
           opacity: { value: 0 },
-          pulseSpeed: { value: 2.0 + Math.random() * 2.0 },
-          pulsePhase: { value: Math.random() * Math.PI * 2 }
+          pulseSpeed: { value: 2.0 + this.random() * 2.0 },
+          pulsePhase: { value: this.random() * Math.PI * 2 }
         },
         vertexShader: `
           varying vec2 vUv;
@@ -201,6 +211,8 @@ export class SolarisBioluminescence {
             
             float alpha = opacity * pulse;
             gl_FragColor = vec4(color, alpha);
+            #include <tonemapping_fragment>
+            #include <colorspace_fragment>
           }
         `,
         transparent: true,
@@ -209,13 +221,15 @@ export class SolarisBioluminescence {
       });
       
       const discharge = new THREE.Line(geometry, material);
+      discharge.layers.enable(BLOOM_LAYER);
       
       // Discharge behavior
       discharge.userData.active = false;
       discharge.userData.activeTime = 0;
-      discharge.userData.maxActiveTime = 0.8 + Math.random() * 1.2;
+      discharge.userData.maxActiveTime = 0.8 + this.random() * 1.2;
       discharge.userData.cooldown = 0;
-      discharge.userData.cooldownTime = 3.0 + Math.random() * 5.0;
+      discharge.userData.cooldownTime = 3.0 + this.random() * 5.0;
+      discharge.userData.center = start.clone().lerp(end, 0.5);
       discharge.visible = false;
       
       this.electricDischarges.push(discharge);
@@ -250,9 +264,9 @@ export class SolarisBioluminescence {
         orb.userData.driftAngle += Math.PI; // Reverse direction
       }
       
-      // Occasional depth changes
-      if (Math.random() < 0.002) {
-        orb.userData.verticalDrift = (Math.random() - 0.5) * 0.01;
+      // Occasional depth changes (about once every eight seconds)
+      if (this.random() < 0.12 * deltaTime) {
+        orb.userData.verticalDrift = (this.random() - 0.5) * 0.01;
       }
     });
     
@@ -288,20 +302,29 @@ export class SolarisBioluminescence {
     discharge.userData.active = true;
     discharge.userData.activeTime = 0;
     
-    // Shorter cooldowns when observed (ocean is more active)
+    // Shorter cooldowns when observed now or remembered (ocean is more active)
     const baseCooldown = 4.0;
-    const observationModifier = 1.0 - (observationIntensity * 0.5); // Up to 50% faster
-    discharge.userData.cooldown = (baseCooldown + Math.random() * 4.0) * observationModifier;
+    const remembered = this.memorySampler ? this.memorySampler(discharge.userData.center) : 0;
+    const attention = Math.max(observationIntensity, remembered);
+    const observationModifier = 1.0 - (attention * 0.5); // Up to 50% faster
+    discharge.userData.cooldown = (baseCooldown + this.random() * 4.0) * observationModifier;
       }
       }
     });
   }
   
+  /**
+   * Let discharges fire more often where the ocean remembers being watched
+   * @param {function(THREE.Vector3): number|null} sampler - Remembered observation (0 to 1) along a direction
+   */
+  setMemorySampler(sampler) {
+    this.memorySampler = sampler;
+  }
+  
   // Control intensity of bioluminescence
   setIntensity(intensity) {
     this.lightOrbs.forEach(orb => {
-      const baseIntensity = 0.4 + Math.random() * 0.4;
-      orb.material.uniforms.glowIntensity.value = baseIntensity * intensity;
+      orb.material.uniforms.glowIntensity.value = orb.userData.baseGlowIntensity * intensity;
     });
   }
   
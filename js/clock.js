@@ -0,0 +1,156 @@
+/**
+ * Simulation clock for the Solaris ocean
+ * Turns real frame time into simulation steps with pause, single-step,
+ * time scaling from slow motion to time-lapse, and an optional fixed timestep.
+ * Every subsystem advances by the same steps, so they stay consistent
+ * whatever the clock does
+ */
+export class SolarisClock {
+    static MIN_TIME_SCALE = 0.1;
+    static MAX_TIME_SCALE = 100;
+
+    constructor(options = {}) {
+        this.paused = options.paused || false;
+        this.timeScale = 1;
+        this.fixedTimestep = options.fixedTimestep || 0; // Seconds per step, 0 = follow the frame rate
+        this.maxSubSteps = options.maxSubSteps || 20;
+        this.maxFrameDelta = options.maxFrameDelta || 0.1; // Ignore long stalls such as background tabs
+        // Longest simulated step, so subsystems that don't substep never take a huge one;
+        // with maxSubSteps this bounds simulated time per frame (2 s by default, 100x at 50 fps)
+        this.maxStepDelta = options.maxStepDelta || 0.1;
+
+        this.elapsedTime = 0; // Simulation seconds
+        this.accumulator = 0;
+        this.pendingSteps = 0;
+        this.lastTimestamp = null;
+
+        this.setTimeScale(options.timeScale ?? 1);
+    }
+
+    /**
+     * Start measuring real time; time spent stopped is discarded
+     */
+    start() {
+        this.lastTimestamp = performance.now();
+    }
+
+    stop() {
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * Advance the clock - call once per rendered frame
+     * @returns {{realDelta: number, steps: number[]}} Real seconds since the last frame
+     * and the simulation deltas to apply, in order (empty while paused)
+     */
+    tick() {
+        const now = performance.now();
+        const realDelta = this.lastTimestamp === null
+            ? 0
+            : Math.min((now - this.lastTimestamp) / 1000, this.maxFrameDelta);
+        this.lastTimestamp = now;
+
+        const steps = [];
+
+        if (!this.paused) {
+            const scaledDelta = realDelta * this.timeScale;
+
+            if (this.fixedTimestep > 0) {
+                this.accumulator += scaledDelta;
+                let count = Math.floor(this.accumulator / this.fixedTimestep);
+
+                if (count > this.maxSubSteps) {
+                    // Too many steps for one frame: take fewer, larger ones
+                    // rather than letting a time-lapse fall behind, up to the step cap
+                    const stepSize = Math.min((count * this.fixedTimestep) / this.maxSubSteps,
+                        Math.max(this.maxStepDelta, this.fixedTimestep));
+                    for (let i = 0; i < this.maxSubSteps; i++) steps.push(stepSize);
+                    // Time beyond the cap is dropped, so the backlog cannot grow without end
+                    this.accumulator = Math.min(this.accumulator - stepSize * this.maxSubSteps, this.fixedTimestep);
+                } else {
+                    for (let i = 0; i < count; i++) steps.push(this.fixedTimestep);
+                    this.accumulator -= this.fixedTimestep * count;
+                }
+            } else if (scaledDelta > 0) {
+                // Equal steps no longer than the cap; past maxSubSteps the time-lapse runs slower instead
+                const count = Math.min(Math.ceil(scaledDelta / this.maxStepDelta), this.maxSubSteps);
+                const stepSize = Math.min(scaledDelta / count, this.maxStepDelta);
+                for (let i = 0; i < count; i++) steps.push(stepSize);
+            }
+        }
+
+        // Single steps requested while paused
+        for (; this.pendingSteps > 0; this.pendingSteps--) {
+            steps.push(this.getStepSize());
+        }
+
+        steps.forEach(step => this.elapsedTime += step);
+
+        return { realDelta, steps };
+    }
+
+    /**
+     * Size of one single-step: the fixed timestep, or one 60 Hz frame
+     * @returns {number}
+     */
+    getStepSize() {
+        return this.fixedTimestep > 0 ? this.fixedTimestep : 1 / 60;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.accumulator = 0;
+    }
+
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Advance by single steps on the next frame; pauses the clock
+     * @param {number} [count=1]
+     */
+    step(count = 1) {
+        this.pause();
+        this.pendingSteps += count;
+    }
+
+    /**
+     * Set the time scale, clamped to 0.1x slow motion up to 100x time-lapse
+     * @param {number} scale
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(SolarisClock.MIN_TIME_SCALE, Math.min(SolarisClock.MAX_TIME_SCALE, scale));
+    }
+
+    /**
+     * Use a fixed simulation timestep
+     * @param {number} timestep - Seconds per step, 0 to follow the frame rate
+     */
+    setFixedTimestep(timestep) {
+        this.fixedTimestep = Math.max(0, timestep);
+        this.accumulator = 0;
+    }
+
+    /**
+     * Get current clock state for UI controls
+     */
+    getState() {
+        return {
+            paused: this.paused,
+            timeScale: this.timeScale,
+            fixedTimestep: this.fixedTimestep,
+            elapsedTime: this.elapsedTime
+        };
+    }
+}
+
+export default SolarisClock;
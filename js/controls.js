@@ -0,0 +1,486 @@
+import * as THREE from 'three';
+
+/**
+ * Dual-mode camera controls for the Solaris ocean
+ * Surface walking when close, orbital flight when far, with a smooth blend between.
+ * All listeners are registered on the given elements and removed again in dispose()
+ */
+export class SolarisCameraControls {
+    constructor(camera, domElement, options = {}) {
+        this.camera = camera;
+        this.domElement = domElement;
+        // Keys are read from the canvas by default so several instances can share a page
+        this.keyboardTarget = options.keyboardTarget || domElement;
+        this.container = options.container || domElement.parentElement;
+        this.isMobile = options.isMobile || false;
+
+        //Enhanced camera controls with zoom
+        this.cameraAngleY = 0;
+        this.cameraAngleX = 0;
+        this.cameraDistance = options.distance || 5.2;
+        this.moveSpeed = options.moveSpeed || 0.01;
+        this.zoomSpeed = options.zoomSpeed || 0.1;
+        this.minDistance = options.minDistance || 5.1;
+        this.maxDistance = options.maxDistance || 25.0;
+
+        // In surface mode the camera keeps its altitude above the moving waves
+        this.surfaceRadius = options.surfaceRadius || 5.0;
+        this.surfaceSampler = null;
+
+        // Enhanced movement system with smooth mode transition
+        this.surfaceThreshold = 8.0;
+        this.transitionRange = 2.0; // Distance over which to blend between modes
+        this.modeBlend = 0; // 0 = surface mode, 1 = orbit mode
+
+        this.keys = {};
+
+        // Touch control variables
+        this.touchStartX = 0;
+        this.touchStartY = 0;
+        this.touchStartDistance = 0;
+        this.isTouching = false;
+        this.isPinching = false;
+
+        // Clicks and taps that don't drag the view poke the ocean
+        this.tapHandler = null;
+        this.tapStart = null;
+        this.tapTolerance = 8; // Pixels a tap may move and still count
+
+        // Mouse hover and every active touch, in normalized device coordinates
+        this.pointers = new Map();
+
+        this.listeners = [];
+        this.mobileControls = null;
+        this.previousContainerPosition = null; // Inline position to restore if the buttons changed it
+
+        this.init();
+    }
+
+    init() {
+        if (this.keyboardTarget === this.domElement) {
+            // Make the canvas focusable so it can receive key events
+            this.domElement.tabIndex = 0;
+            this.domElement.style.outline = 'none';
+        }
+
+        this.listen(this.keyboardTarget, 'keydown', (e) => this.keys[e.key.toLowerCase()] = true);
+        this.listen(this.keyboardTarget, 'keyup', (e) => this.keys[e.key.toLowerCase()] = false);
+        // Released keys are never reported once focus is gone
+        this.listen(this.keyboardTarget, 'blur', () => this.keys = {});
+
+        this.listen(this.domElement, 'mousemove', (event) => {
+            this.pointers.set('mouse', this.toDeviceCoordinates(event.clientX, event.clientY));
+
+            if (event.buttons === 1) {
+                this.cameraAngleY -= event.movementX * 0.005;
+                this.cameraAngleX -= event.movementY * 0.005;
+                this.clampAngle();
+            }
+        });
+
+        this.listen(this.domElement, 'mouseleave', () => this.pointers.delete('mouse'));
+
+        this.listen(this.domElement, 'mousedown', (event) => {
+            if (event.button === 0) this.beginTap(event.clientX, event.clientY);
+        });
+
+        this.listen(this.domElement, 'mouseup', (event) => {
+            if (event.button === 0) this.endTap(event.clientX, event.clientY);
+        });
+
+        this.listen(this.domElement, 'wheel', (event) => {
+            event.preventDefault();
+            this.zoom(event.deltaY * 0.01);
+        }, { passive: false });
+
+        // Touch controls for mobile
+        this.listen(this.domElement, 'touchstart', (e) => {
+            this.trackTouches(e.changedTouches);
+
+            if (e.touches.length === 1) {
+                this.isTouching = true;
+                this.touchStartX = e.touches[0].clientX;
+                this.touchStartY = e.touches[0].clientY;
+                this.beginTap(this.touchStartX, this.touchStartY);
+            } else if (e.touches.length === 2) {
+                this.isPinching = true;
+                this.tapStart = null;
+                this.touchStartDistance = this.getTouchDistance(e.touches);
+            }
+        });
+
+        this.listen(this.domElement, 'touchmove', (e) => {
+            e.preventDefault();
+            this.trackTouches(e.changedTouches);
+
+            if (this.isTouching && e.touches.length === 1) {
+                const deltaX = e.touches[0].clientX - this.touchStartX;
+                const deltaY = e.touches[0].clientY - this.touchStartY;
+
+                this.cameraAngleY -= deltaX * 0.005;
+                this.cameraAngleX -= deltaY * 0.005;
+                this.clampAngle();
+
+                this.touchStartX = e.touches[0].clientX;
+                this.touchStartY = e.touches[0].clientY;
+            } else if (this.isPinching && e.touches.length === 2) {
+                const distance = this.getTouchDistance(e.touches);
+
+                this.zoom((this.touchStartDistance - distance) * 0.02);
+
+                this.touchStartDistance = distance;
+            }
+        }, { passive: false });
+
+        this.listen(this.domElement, 'touchcancel', (e) => {
+            this.releaseTouches(e.changedTouches);
+            this.tapStart = null;
+        });
+
+        this.listen(this.domElement, 'touchend', (e) => {
+            this.releaseTouches(e.changedTouches);
+
+            if (e.touches.length === 0) {
+                const touch = e.changedTouches[0];
+                if (this.endTap(touch.clientX, touch.clientY)) {
+                    // Stop the browser replaying the tap as a mouse click
+                    e.preventDefault();
+                }
+                this.isTouching = false;
+                this.isPinching = false;
+            } else if (e.touches.length === 1) {
+                this.isPinching = false;
+                this.isTouching = true;
+                this.touchStartX = e.touches[0].clientX;
+                this.touchStartY = e.touches[0].clientY;
+            }
+        });
+
+        if (this.isMobile) {
+            this.createMobileControls();
+        }
+    }
+
+    // Register a listener and remember it for dispose()
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    getTouchDistance(touches) {
+        const dx = touches[0].clientX - touches[1].clientX;
+        const dy = touches[0].clientY - touches[1].clientY;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    clampAngle() {
+        this.cameraAngleX = Math.max(-Math.PI/2, Math.min(Math.PI/2, this.cameraAngleX));
+    }
+
+    zoom(delta) {
+        this.cameraDistance += delta;
+        this.cameraDistance = Math.max(this.minDistance, Math.min(this.maxDistance, this.cameraDistance));
+    }
+
+    /**
+     * Let the camera ride the moving ocean surface in surface mode
+     * @param {function(THREE.Vector3): number|null} sampler - Surface distance from the planet center along a direction
+     */
+    setSurfaceSampler(sampler) {
+        this.surfaceSampler = sampler;
+    }
+
+    /**
+     * Receive clicks and taps on the canvas that were not drags
+     * Holding longer before releasing makes a stronger poke
+     * @param {function(THREE.Vector2, number)|null} handler - Called with the point in
+     * normalized device coordinates and a strength from 1 to 2
+     */
+    setTapHandler(handler) {
+        this.tapHandler = handler;
+    }
+
+    // Client pixel coordinates to normalized device coordinates of the canvas
+    toDeviceCoordinates(x, y) {
+        const rect = this.domElement.getBoundingClientRect();
+        return new THREE.Vector2(
+            ((x - rect.left) / rect.width) * 2 - 1,
+            -((y - rect.top) / rect.height) * 2 + 1
+        );
+    }
+
+    trackTouches(touches) {
+        for (const touch of touches) {
+            this.pointers.set(`touch:${touch.identifier}`, this.toDeviceCoordinates(touch.clientX, touch.clientY));
+        }
+    }
+
+    releaseTouches(touches) {
+        for (const touch of touches) {
+            this.pointers.delete(`touch:${touch.identifier}`);
+        }
+    }
+
+    beginTap(x, y) {
+        this.tapStart = { x, y, time: performance.now() };
+    }
+
+    // Returns true when the press counted as a tap
+    endTap(x, y) {
+        const start = this.tapStart;
+        this.tapStart = null;
+        if (!start || !this.tapHandler) return false;
+        if (Math.hypot(x - start.x, y - start.y) > this.tapTolerance) return false;
+
+        const point = this.toDeviceCoordinates(x, y);
+        const holdTime = (performance.now() - start.time) / 1000;
+        this.tapHandler(point, 1 + Math.min(holdTime / 0.6, 1));
+        return true;
+    }
+
+    // Mobile on-screen controls
+    createMobileControls() {
+        const controlsHTML = `
+            <style>
+                .solaris-mobile-controls .mobile-controls {
+                    position: absolute;
+                    bottom: 20px;
+                    left: 50%;
+                    transform: translateX(-50%);
+                    display: flex;
+                    gap: 10px;
+                    z-index: 1000;
+                    pointer-events: none;
+                }
+                .solaris-mobile-controls .control-btn {
+                    width: 60px;
+                    height: 60px;
+                    background: rgba(255, 255, 255, 0.2);
+                    border: 2px solid rgba(255, 255, 255, 0.5);
+                    border-radius: 50%;
+                    color: white;
+                    font-size: 24px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    pointer-events: auto;
+                    user-select: none;
+                    backdrop-filter: blur(10px);
+                    touch-action: manipulation;
+                }
+                .solaris-mobile-controls .control-btn:active {
+                    background: rgba(255, 255, 255, 0.4);
+                    transform: scale(0.95);
+                }
+                .solaris-mobile-controls .zoom-controls {
+                    position: absolute;
+                    right: 20px;
+                    bottom: 20px;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 10px;
+                    z-index: 1000;
+                }
+            </style>
+            <div class="mobile-controls">
+                <button class="control-btn" data-key="a">◄</button>
+                <button class="control-btn" data-key="w">▲</button>
+                <button class="control-btn" data-key="s">▼</button>
+                <button class="control-btn" data-key="d">►</button>
+            </div>
+            <div class="zoom-controls">
+                <button class="control-btn" data-key="e">+</button>
+                <button class="control-btn" data-key="q">−</button>
+            </div>
+        `;
+
+        // Buttons are positioned relative to the container the scene renders into
+        if (getComputedStyle(this.container).position === 'static') {
+            this.previousContainerPosition = this.container.style.position;
+            this.container.style.position = 'relative';
+        }
+
+        this.mobileControls = document.createElement('div');
+        this.mobileControls.className = 'solaris-mobile-controls';
+        this.mobileControls.innerHTML = controlsHTML;
+        this.container.appendChild(this.mobileControls);
+
+        this.mobileControls.querySelectorAll('[data-key]').forEach(button => {
+            const key = button.dataset.key;
+            this.listen(button, 'touchstart', (e) => { e.preventDefault(); this.keys[key] = true; });
+            this.listen(button, 'touchend', (e) => { e.preventDefault(); this.keys[key] = false; });
+        });
+    }
+
+    /**
+     * Move the camera - call this in your animation loop
+     */
+    update() {
+        const camera = this.camera;
+        const keys = this.keys;
+        const cameraDistance = this.cameraDistance;
+        const moveSpeed = this.moveSpeed;
+
+        const transitionStart = this.surfaceThreshold - this.transitionRange;
+        const transitionEnd = this.surfaceThreshold + this.transitionRange;
+
+        // Calculate blend factor (0 = full surface mode, 1 = full orbit mode)
+        let modeBlend = 0;
+        if (cameraDistance <= transitionStart) {
+            modeBlend = 0; // Pure surface mode
+        } else if (cameraDistance >= transitionEnd) {
+            modeBlend = 1; // Pure orbit mode
+        } else {
+            // Smooth interpolation between modes
+            modeBlend = (cameraDistance - transitionStart) / (this.transitionRange * 2);
+            modeBlend = modeBlend * modeBlend * (3 - 2 * modeBlend); // Smoothstep for ease-in-out
+        }
+        this.modeBlend = modeBlend;
+
+        // Surface mode movement
+        let surfaceMovement = new THREE.Vector3();
+        if (keys['w'] || keys['arrowup']) {
+            surfaceMovement.x += Math.sin(this.cameraAngleY) * moveSpeed;
+            surfaceMovement.z += Math.cos(this.cameraAngleY) * moveSpeed;
+        }
+        if (keys['s'] || keys['arrowdown']) {
+            surfaceMovement.x -= Math.sin(this.cameraAngleY) * moveSpeed;
+            surfaceMovement.z -= Math.cos(this.cameraAngleY) * moveSpeed;
+        }
+        if (keys['a'] || keys['arrowleft']) {
+            surfaceMovement.x += Math.cos(this.cameraAngleY) * moveSpeed;
+            surfaceMovement.z -= Math.sin(this.cameraAngleY) * moveSpeed;
+        }
+        if (keys['d'] || keys['arrowright']) {
+            surfaceMovement.x -= Math.cos(this.cameraAngleY) * moveSpeed;
+            surfaceMovement.z += Math.sin(this.cameraAngleY) * moveSpeed;
+        }
+
+        // Orbit mode angle changes
+        let orbitAngleChangeX = 0;
+        let orbitAngleChangeY = 0;
+        if (keys['w'] || keys['arrowup']) orbitAngleChangeX -= 0.02;
+        if (keys['s'] || keys['arrowdown']) orbitAngleChangeX += 0.02;
+        if (keys['a'] || keys['arrowleft']) orbitAngleChangeY -= 0.02;
+        if (keys['d'] || keys['arrowright']) orbitAngleChangeY += 0.02;
+
+        // Blend between surface and orbit movement
+        if (modeBlend < 1.0) {
+            // Apply surface movement (reduced as we transition out)
+            const surfaceInfluence = 1.0 - modeBlend;
+            camera.position.x += surfaceMovement.x * surfaceInfluence;
+            camera.position.z += surfaceMovement.z * surfaceInfluence;
+        }
+
+        if (modeBlend > 0.0) {
+            // Apply orbit movement (increased as we transition in)
+            const orbitInfluence = modeBlend;
+            this.cameraAngleX += orbitAngleChangeX * orbitInfluence;
+            this.cameraAngleY += orbitAngleChangeY * orbitInfluence;
+        }
+
+        // Clamp vertical angle
+        this.clampAngle();
+
+        const cameraAngleX = this.cameraAngleX;
+        const cameraAngleY = this.cameraAngleY;
+
+        // Calculate final position - blend between surface-locked and orbital
+        if (modeBlend < 1.0) {
+            // Surface mode component - normalize to sphere
+            const normalizedPos = new THREE.Vector3(
+                camera.position.x,
+                camera.position.y,
+                camera.position.z
+            ).normalize();
+
+            // Keep the same altitude above the real, displaced surface
+            let surfaceDistance = cameraDistance;
+            if (this.surfaceSampler) {
+                surfaceDistance += this.surfaceSampler(normalizedPos) - this.surfaceRadius;
+            }
+            const surfacePos = normalizedPos.multiplyScalar(surfaceDistance);
+
+            // Orbit mode component - spherical coordinates
+            const orbitPos = new THREE.Vector3(
+                Math.cos(cameraAngleX) * Math.sin(cameraAngleY) * cameraDistance,
+                Math.sin(cameraAngleX) * cameraDistance,
+                Math.cos(cameraAngleX) * Math.cos(cameraAngleY) * cameraDistance
+            );
+
+            // Blend between the two positions
+            camera.position.lerpVectors(surfacePos, orbitPos, modeBlend);
+        } else {
+            // Pure orbit mode
+            camera.position.x = Math.cos(cameraAngleX) * Math.sin(cameraAngleY) * cameraDistance;
+            camera.position.y = Math.sin(cameraAngleX) * cameraDistance;
+            camera.position.z = Math.cos(cameraAngleX) * Math.cos(cameraAngleY) * cameraDistance;
+        }
+
+        // Zoom controls
+        if (keys['q'] || keys[' ']) {
+            this.cameraDistance += this.zoomSpeed;
+            this.cameraDistance = Math.min(this.cameraDistance, this.maxDistance);
+        }
+        if (keys['e'] || keys['shift']) {
+            this.cameraDistance -= this.zoomSpeed;
+            this.cameraDistance = Math.max(this.cameraDistance, this.minDistance);
+        }
+
+        // Camera look target - blend between surface-walking view and center-focused view
+        if (modeBlend < 1.0) {
+            // Surface mode look direction
+            const lookDirection = new THREE.Vector3(
+                Math.sin(cameraAngleY) * Math.cos(cameraAngleX),
+                Math.sin(cameraAngleX),
+                Math.cos(cameraAngleY) * Math.cos(cameraAngleX)
+            );
+
+            const surfaceLookTarget = new THREE.Vector3(
+                camera.position.x + lookDirection.x,
+                camera.position.y + lookDirection.y,
+                camera.position.z + lookDirection.z
+            );
+
+            // Orbit mode looks at center
+            const orbitLookTarget = new THREE.Vector3(0, 0, 0);
+
+            // Blend look targets
+            const blendedLookTarget = new THREE.Vector3().lerpVectors(
+                surfaceLookTarget,
+                orbitLookTarget,
+                modeBlend
+            );
+
+            camera.lookAt(blendedLookTarget);
+        } else {
+            camera.lookAt(0, 0, 0);
+        }
+    }
+
+    dispose() {
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+        this.pointers.clear();
+
+        if (this.mobileControls) {
+            this.mobileControls.remove();
+            this.mobileControls = null;
+        }
+
+        if (this.previousContainerPosition !== null) {
+            this.container.style.position = this.previousContainerPosition;
+            this.previousContainerPosition = null;
+        }
+    }
+}
+
+// CONTROLS GUIDE:
+// Mouse drag: Look around
+// Mouse wheel: Zoom in/out
+// Click/tap: Disturb the ocean (hold for a stronger poke)
+// WASD/Arrow keys: Move (surface mode) or orbit (when zoomed out)
+// Q/Space: Zoom out
+// E/Shift: Zoom in
@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+import { SKY_LAYER, REFLECTION_LAYER } from './layers.js';
+
+/**
+ * Procedural environment map of the Solaris sky
+ * A cube camera at the planet center renders the sky layer (sky dome,
+ * starfield, nebulae and suns) into a half-float cubemap, refreshed as the
+ * suns move. With reflections on, the formations and plasma fountains are
+ * rendered into it too, several times a second, so the ocean mirrors them
+ * through its metallic term. Without renderable float targets a painted
+ * night sky stands in, so reflections never depend on the network
+ */
+
+export class SolarisEnvironment {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renderer used to draw the cubemap
+     * @param {THREE.Scene} scene - Scene holding the sky layer
+     * @param {Object} options
+     * @param {number} [options.resolution=128] - Size of each cube face
+     * @param {boolean} [options.reflections=true] - Include formations and plasma fountains, not just the sky
+     * @param {number} [options.interval] - Simulation seconds between refreshes, 0 for every frame;
+     * 0.05 with reflections, 2 for the sky alone
+     * @param {boolean} [options.forceFallback=false] - Use the painted sky even where float targets work
+     * @param {function(): number} [options.random=Math.random] - Random source for the painted sky's stars
+     */
+    constructor(renderer, scene, options = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.random = options.random || Math.random;
+
+        const reflections = options.reflections !== false;
+
+        this.config = {
+            resolution: options.resolution || 128,
+            interval: options.interval ?? (reflections ? 0.05 : 2),
+            reflections,
+            forceFallback: options.forceFallback === true
+        };
+
+        this.elapsed = 0;
+        this.rendered = false;
+
+        this.init();
+    }
+
+    init() {
+        this.isDynamic = !this.config.forceFallback && SolarisEnvironment.supportsFloatTargets(this.renderer);
+
+        if (this.isDynamic) {
+            this.renderTarget = new THREE.WebGLCubeRenderTarget(this.config.resolution, {
+                type: THREE.HalfFloatType,
+                generateMipmaps: false
+            });
+            this.cubeCamera = new THREE.CubeCamera(0.1, 1000, this.renderTarget);
+            this.texture = this.renderTarget.texture;
+            this.setReflections(this.config.reflections);
+        } else {
+            this.texture = this.createFallbackTexture();
+        }
+    }
+
+    /**
+     * Whether half-float render targets can be drawn into
+     * @param {THREE.WebGLRenderer} renderer
+     * @returns {boolean}
+     */
+    static supportsFloatTargets(renderer) {
+        return renderer.extensions.has('EXT_color_buffer_half_float') ||
+            renderer.extensions.has('EXT_color_buffer_float');
+    }
+
+    // Night sky painted on canvases: violet glow at the horizon, black above, scattered stars
+    createFallbackTexture() {
+        const size = 64;
+        const horizon = new THREE.Color(0x1a0f1f).getRGB({}, THREE.SRGBColorSpace);
+
+        // Height (y of the view direction) of each face's pixel rows, in the order +x, -x, +y, -y, +z, -z
+        const faceHeight = [
+            (row) => 1 - 2 * (row + 0.5) / size,
+            (row) => 1 - 2 * (row + 0.5) / size,
+            () => 1,
+            () => -1,
+            (row) => 1 - 2 * (row + 0.5) / size,
+            (row) => 1 - 2 * (row + 0.5) / size
+        ];
+
+        const images = faceHeight.map((heightAt) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+            const ctx = canvas.getContext('2d');
+            const image = ctx.createImageData(size, size);
+
+            for (let row = 0; row < size; row++) {
+                const glow = Math.pow(1 - Math.min(Math.abs(heightAt(row)), 1), 4);
+                for (let column = 0; column < size; column++) {
+                    const i = (row * size + column) * 4;
+                    const star = this.random() < 0.004 ? 0.5 + this.random() * 0.5 : 0;
+                    image.data[i] = Math.min(255, (horizon.r * glow + star) * 255);
+                    image.data[i + 1] = Math.min(255, (horizon.g * glow + star) * 255);
+                    image.data[i + 2] = Math.min(255, (horizon.b * glow + star) * 255);
+                    image.data[i + 3] = 255;
+                }
+            }
+
+            ctx.putImageData(image, 0, 0);
+            return canvas;
+        });
+
+        const texture = new THREE.CubeTexture(images);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    /**
+     * Refresh the cubemap every interval
+     * @param {number} deltaTime - Simulation seconds since the last update
+     */
+    update(deltaTime) {
+        if (!this.isDynamic) return;
+
+        this.elapsed += deltaTime;
+        if (this.rendered && this.elapsed < this.config.interval) return;
+
+        this.elapsed = 0;
+        this.rendered = true;
+        this.cubeCamera.update(this.renderer, this.scene);
+    }
+
+    /**
+     * Mirror the formations and plasma fountains, or only the sky
+     * Takes effect at the next refresh; the interval is left as it is
+     * @param {boolean} enabled
+     */
+    setReflections(enabled) {
+        this.config.reflections = enabled;
+        if (!this.isDynamic) return;
+
+        // Never the ocean the camera sits inside
+        this.cubeCamera.children.forEach((camera) => {
+            camera.layers.set(SKY_LAYER);
+            if (enabled) camera.layers.enable(REFLECTION_LAYER);
+        });
+    }
+
+    /**
+     * Get the environment cubemap
+     * @returns {THREE.Texture}
+     */
+    getTexture() {
+        return this.texture;
+    }
+
+    dispose() {
+        if (this.isDynamic) {
+            this.renderTarget.dispose();
+        } else {
+            this.texture.dispose();
+        }
+    }
+
+    // Low-cost setup for phones: small faces refreshed four times a second
+    static mobile = {
+        resolution: 64,
+        interval: 0.25
+    };
+}
+
+export default SolarisEnvironment;
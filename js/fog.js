@@ -12,8 +12,6 @@ export class SolarisFog {
 
         // Solaris color palette
         this.palette = {
-            redSun: new THREE.Color(0xE07A5F),
-            blueSun: new THREE.Color(0x3D5A80),
             oceanBase: new THREE.Color(0x6A4C93),
             baseAtmosphere: new THREE.Color(0x1a0f1f) // Deep purple-black
         };
@@ -55,7 +53,7 @@ export class SolarisFog {
 
     /**
      * Set sun data for dynamic fog coloring
-     * @param {Array} suns - Array of sun objects from createSuns
+     * @param {Array} suns - Array of sun objects from createSuns (position, color, group, orbitRadius)
      */
     setSunData(suns) {
         this.sunData = suns;
@@ -73,28 +71,17 @@ export class SolarisFog {
         // Start with base atmospheric color
         let mixedColor = this.palette.baseAtmosphere.clone();
         
-        // Get sun positions and calculate their influence
-        const suns = this.sunData;
-        const redSun = suns[0]; // First sun is red
-        const blueSun = suns[1]; // Second sun is blue
-        
-        if (redSun && redSun.group) {
-            // Red sun influence based on height above horizon
-            const redHeight = Math.max(0, redSun.group.position.y);
-            const redInfluence = (redHeight / 250) * this.config.sunInfluenceStrength;
-            
-            // Mix in red sun color
-            mixedColor.lerp(this.palette.redSun, redInfluence);
-        }
-        
-        if (blueSun && blueSun.group) {
-            // Blue sun influence based on height above horizon
-            const blueHeight = Math.max(0, blueSun.group.position.y);
-            const blueInfluence = (blueHeight / 220) * this.config.sunInfluenceStrength;
+        // Each sun tints the fog by its height above the horizon, relative to its orbit
+        this.sunData.forEach(sun => {
+            if (!sun.group) return;
+
+            const height = Math.max(0, sun.group.position.y);
+            const orbitRadius = sun.orbitRadius || sun.group.position.length() || 1;
+            const influence = Math.min(height / orbitRadius, 1) * this.config.sunInfluenceStrength;
             
-            // Mix in blue sun color
-            mixedColor.lerp(this.palette.blueSun, blueInfluence);
-        }
+            // Mix in the sun's color
+            mixedColor.lerp(sun.color, influence);
+        });
         
         // Blend with ocean base color for cohesion
         mixedColor.lerp(this.palette.oceanBase, 0.15);
@@ -104,7 +91,7 @@ export class SolarisFog {
 
     /**
      * Update fog parameters - call this in your animation loop
-     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {number} deltaTime - Simulation seconds since the last update
      */
     update(deltaTime) {
         if (!this.isEnabled || !this.fog) return;
@@ -133,8 +120,8 @@ export class SolarisFog {
                 Math.max(0.05, hslTarget.l * colorShift)
             );
         } else {
-            // Smoothly transition to target color
-            this.fog.color.lerp(targetColor, 0.02);
+            // Smoothly transition to target color, 2% per frame at 60fps
+            this.fog.color.lerp(targetColor, 1 - Math.exp(-deltaTime * 1.2));
         }
 
         // Animate fog density with subtle breathing effect
@@ -200,6 +187,16 @@ export class SolarisFog {
         this.init();
     }
     
+    /**
+     * Remove the fog from the scene
+     */
+    dispose() {
+        if (this.scene.fog === this.fog) {
+            this.scene.fog = null;
+        }
+        this.fog = null;
+    }
+
     /**
      * Get current fog parameters for UI controls
      */
@@ -0,0 +1,17 @@
+/**
+ * Render layers shared across Solaris
+ * Tagged objects stay on the default layer 0 as well; the extra layers only
+ * mark them for passes that render part of the scene
+ */
+
+// Emissive objects that glow in the selective bloom and cast god rays
+export const BLOOM_LAYER = 1;
+
+// Sky dome, stars, nebulae and suns, as seen in the ocean's environment map
+export const SKY_LAYER = 2;
+
+// Formations and plasma fountains, mirrored in the ocean alongside the sky
+export const REFLECTION_LAYER = 3;
+
+// Formations, whose translucent bodies shade the ocean from the suns
+export const SHADOW_LAYER = 4;
@@ -0,0 +1,232 @@
+import * as THREE from 'three';
+import { simulationVertexShader, equirectangularChunk } from './waves.js';
+
+/**
+ * Observation memory of the Solaris ocean
+ * An equirectangular map wrapped around the planet that accumulates where and
+ * how long the surface has been watched, and forgets slowly over minutes.
+ * The ocean shader reads it on the GPU; spawners read a periodic CPU copy
+ */
+
+const MAX_OBSERVERS = 8;
+
+const memoryFragmentShader = `
+${equirectangularChunk}
+uniform sampler2D uMemory;
+uniform float uDecay;
+uniform float uGain;
+uniform float uRadius;
+uniform vec4 uObservers[${MAX_OBSERVERS}];
+uniform int uObserverCount;
+varying vec2 vUv;
+
+void main() {
+    vec3 dir = uvToDirection(vUv);
+    float memory = texture2D(uMemory, vUv).r * uDecay;
+
+    // Watched spots are written in, brighter the closer to the point of attention
+    for (int i = 0; i < ${MAX_OBSERVERS}; i++) {
+        if (i >= uObserverCount) break;
+        float angle = acos(clamp(dot(dir, uObservers[i].xyz), -1.0, 1.0));
+        memory += uGain * uObservers[i].w * smoothstep(uRadius, 0.0, angle);
+    }
+
+    gl_FragColor = vec4(min(memory, 1.0), 0.0, 0.0, 1.0);
+}
+`;
+
+export class SolarisObservationMemory {
+    static MAX_OBSERVERS = MAX_OBSERVERS;
+
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renderer used to update the map
+     * @param {Object} options
+     * @param {number} [options.resolution=128] - Map width; the height is half of it
+     * @param {number} [options.halfLife=180] - Seconds until an unwatched memory has faded by half
+     * @param {number} [options.learnTime=30] - Seconds of steady watching to fully remember a spot
+     * @param {number} [options.radius=0.35] - Angular radius of a remembered spot in radians
+     * @param {number} [options.interval=0.2] - Simulation seconds between map updates
+     * @param {number} [options.readbackInterval=1] - Simulation seconds between CPU copies, which arrive asynchronously
+     */
+    constructor(renderer, options = {}) {
+        this.renderer = renderer;
+
+        this.config = {
+            resolution: options.resolution || 128,
+            halfLife: options.halfLife || 180,
+            learnTime: options.learnTime || 30,
+            radius: options.radius || 0.35,
+            interval: options.interval || 0.2,
+            readbackInterval: options.readbackInterval || 1
+        };
+
+        this.width = this.config.resolution;
+        this.height = this.width / 2;
+        this.current = 0;
+        this.elapsed = 0;
+        this.sinceReadback = 0;
+        this.reading = false; // A CPU copy is on its way
+        this.readable = true; // False once the GPU has refused a readback
+        this.generation = 0; // Bumped by clear(), so copies from before it are dropped
+        this.disposed = false;
+
+        this.init();
+    }
+
+    init() {
+        // Half floats render and filter on mobile GPUs too, as for the wave simulation
+        this.targets = [0, 1].map(() => new THREE.WebGLRenderTarget(this.width, this.height, {
+            type: THREE.HalfFloatType,
+            format: THREE.RGBAFormat,
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            wrapS: THREE.RepeatWrapping,
+            wrapT: THREE.ClampToEdgeWrapping,
+            depthBuffer: false,
+            stencilBuffer: false,
+            generateMipmaps: false
+        }));
+
+        this.uniforms = {
+            uMemory: { value: null },
+            uDecay: { value: 1 },
+            uGain: { value: 0 },
+            uRadius: { value: this.config.radius },
+            uObservers: { value: Array.from({ length: MAX_OBSERVERS }, () => new THREE.Vector4()) },
+            uObserverCount: { value: 0 }
+        };
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: simulationVertexShader,
+            fragmentShader: memoryFragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.quad.frustumCulled = false;
+        this.memoryScene = new THREE.Scene();
+        this.memoryScene.add(this.quad);
+        this.memoryCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+        // CPU copy of the map (RGBA floats, bottom row first), decoded from the raw half floats read back
+        this.pixels = new Float32Array(this.width * this.height * 4);
+        this.halfPixels = new Uint16Array(this.width * this.height * 4);
+
+        this.clear();
+    }
+
+    /**
+     * Advance the memory
+     * @param {number} deltaTime - Simulation seconds since the last update
+     * @param {Array<{direction: THREE.Vector3, intensity: number}>} observers - Points of attention,
+     * as directions in the ocean's local space with an intensity from 0 to 1
+     */
+    update(deltaTime, observers) {
+        this.elapsed += deltaTime;
+        this.sinceReadback += deltaTime;
+
+        // Memory changes slowly - no need to redraw it every step
+        if (this.elapsed < this.config.interval) return;
+
+        const batch = observers.slice(0, MAX_OBSERVERS);
+        batch.forEach((observer, i) => {
+            const { direction, intensity } = observer;
+            this.uniforms.uObservers.value[i].set(direction.x, direction.y, direction.z, intensity);
+        });
+        this.uniforms.uObserverCount.value = batch.length;
+        this.uniforms.uDecay.value = Math.pow(0.5, this.elapsed / this.config.halfLife);
+        this.uniforms.uGain.value = this.elapsed / this.config.learnTime;
+        this.elapsed = 0;
+
+        const previousTarget = this.renderer.getRenderTarget();
+        const next = 1 - this.current;
+        this.uniforms.uMemory.value = this.targets[this.current].texture;
+        this.renderer.setRenderTarget(this.targets[next]);
+        this.renderer.render(this.memoryScene, this.memoryCamera);
+        this.current = next;
+        this.renderer.setRenderTarget(previousTarget);
+
+        if (this.sinceReadback >= this.config.readbackInterval && this.readable && !this.reading) {
+            this.sinceReadback = 0;
+            this.readPixels();
+        }
+    }
+
+    // Copy the map to the CPU without stalling the frame; the copy lands a few frames later
+    readPixels() {
+        const generation = this.generation;
+        this.reading = true;
+
+        this.renderer.readRenderTargetPixelsAsync(
+            this.targets[this.current], 0, 0, this.width, this.height, this.halfPixels
+        ).then(() => {
+            if (this.disposed || generation !== this.generation) return;
+            // Only the red channel holds memory
+            for (let i = 0; i < this.pixels.length; i += 4) {
+                this.pixels[i] = THREE.DataUtils.fromHalfFloat(this.halfPixels[i]);
+            }
+        }).catch((error) => {
+            // Spawners go without memory; the ocean still shows it
+            this.readable = false;
+            console.warn('Observation memory cannot be read back:', error.message);
+        }).finally(() => {
+            this.reading = false;
+        });
+    }
+
+    /**
+     * Read the memory from the last CPU copy
+     * @param {THREE.Vector3} direction - Direction in the ocean's local space
+     * @returns {number} 0 (never watched) to 1 (well remembered)
+     */
+    sample(direction) {
+        const length = direction.length();
+        if (length === 0) return 0;
+
+        const u = Math.atan2(direction.z, direction.x) / (2 * Math.PI) + 0.5;
+        const v = Math.asin(THREE.MathUtils.clamp(direction.y / length, -1, 1)) / Math.PI + 0.5;
+        const x = Math.min(Math.floor(u * this.width), this.width - 1);
+        const y = Math.min(Math.floor(v * this.height), this.height - 1);
+        return this.pixels[(y * this.width + x) * 4];
+    }
+
+    /**
+     * Get the memory texture (memory in the red channel)
+     * @returns {THREE.Texture}
+     */
+    getTexture() {
+        return this.targets[this.current].texture;
+    }
+
+    /**
+     * Forget everything
+     */
+    clear() {
+        const previousTarget = this.renderer.getRenderTarget();
+        const previousClearColor = this.renderer.getClearColor(new THREE.Color());
+        const previousClearAlpha = this.renderer.getClearAlpha();
+
+        this.renderer.setClearColor(0x000000, 0);
+        this.targets.forEach(target => {
+            this.renderer.setRenderTarget(target);
+            this.renderer.clear(true, false, false);
+        });
+
+        this.renderer.setRenderTarget(previousTarget);
+        this.renderer.setClearColor(previousClearColor, previousClearAlpha);
+        this.pixels.fill(0);
+        this.generation++;
+        this.elapsed = 0;
+    }
+
+    dispose() {
+        this.disposed = true;
+        this.targets.forEach(target => target.dispose());
+        this.quad.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+export default SolarisObservationMemory;
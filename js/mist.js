@@ -5,9 +5,10 @@ import * as THREE from 'three';
  * Creates alien, ever-shifting vapor formations that rise from the living ocean
  */
 export class SolarisMist {
-  constructor(scene, oceanRadius = 50) {
+  constructor(scene, oceanRadius = 50, options = {}) {
     this.scene = scene;
     this.oceanRadius = oceanRadius;
+    this.random = options.random || Math.random;
     this.mistLayers = [];
     this.vaporClouds = [];
     this.time = 0;
@@ -107,6 +108,8 @@ export class SolarisMist {
           vec3 finalColor = color + vElevation * 0.1;
           
           gl_FragColor = vec4(finalColor, alpha);
+          #include <tonemapping_fragment>
+          #include <colorspace_fragment>
         }
       `,
       transparent: true,
@@ -119,7 +122,7 @@ export class SolarisMist {
       const mist = new THREE.Mesh(mistGeometry, mistMaterial.clone());
       mist.rotation.x = -Math.PI / 2;
       mist.position.y = 0.5 + i * 1.2;
-      mist.userData.rotationSpeed = 0.01 + Math.random() * 0.005;
+      mist.userData.rotationSpeed = 0.01 + this.random() * 0.005;
       mist.userData.baseY = mist.position.y;
       this.mistLayers.push(mist);
       this.scene.add(mist);
@@ -131,13 +134,13 @@ export class SolarisMist {
     const cloudCount = 4; // Reduced from 8
     
     for (let i = 0; i < cloudCount; i++) {
-      const cloudGeometry = new THREE.SphereGeometry(2 + Math.random() * 1.5, 12, 12); // Smaller and lower poly
+      const cloudGeometry = new THREE.SphereGeometry(2 + this.random() * 1.5, 12, 12); // Smaller and lower poly
       
       const cloudMaterial = new THREE.ShaderMaterial({
         uniforms: {
           time: { value: 0 },
           opacity: { value: 0.08 }, // Much more subtle
-          phase: { value: Math.random() * Math.PI * 2 }
+          phase: { value: this.random() * Math.PI * 2 }
         },
         vertexShader: `
           varying vec3 vNormal;
@@ -169,9 +172,11 @@ export class SolarisMist {
             float fresnel = pow(1.0 - abs(dot(viewDirection, vNormal)), 2.0);
             
             float alpha = opacity * fresnel;
-            vec3 color = vec3(0.7, 0.75, 0.85); // Pale, alien vapor
+            vec3 color = vec3(0.448, 0.5225, 0.6921); // Pale, alien vapor (linear)
             
             gl_FragColor = vec4(color, alpha);
+            #include <tonemapping_fragment>
+            #include <colorspace_fragment>
           }
         `,
         transparent: true,
@@ -183,14 +188,14 @@ export class SolarisMist {
       
       // Random starting position around the ocean
       const angle = (i / cloudCount) * Math.PI * 2;
-      const distance = this.oceanRadius * 0.6 + Math.random() * this.oceanRadius * 0.3;
+      const distance = this.oceanRadius * 0.6 + this.random() * this.oceanRadius * 0.3;
       cloud.position.x = Math.cos(angle) * distance;
       cloud.position.z = Math.sin(angle) * distance;
-      cloud.position.y = -2 + Math.random() * 3;
+      cloud.position.y = -2 + this.random() * 3;
       
-      cloud.userData.riseSpeed = 0.01 + Math.random() * 0.02;
-      cloud.userData.maxHeight = 8 + Math.random() * 6;
-      cloud.userData.driftSpeed = 0.005 + Math.random() * 0.01;
+      cloud.userData.riseSpeed = 0.6 + this.random() * 1.2; // Units per second
+      cloud.userData.maxHeight = 8 + this.random() * 6;
+      cloud.userData.driftSpeed = 0.005 + this.random() * 0.01;
       cloud.userData.angle = angle;
       
       this.vaporClouds.push(cloud);
@@ -221,14 +226,14 @@ export class SolarisMist {
       const tendril = new THREE.Mesh(tubeGeometry, tendrilMaterial);
       
       // Random position
-      const angle = Math.random() * Math.PI * 2;
-      const distance = this.oceanRadius * (0.5 + Math.random() * 0.4);
+      const angle = this.random() * Math.PI * 2;
+      const distance = this.oceanRadius * (0.5 + this.random() * 0.4);
       tendril.position.x = Math.cos(angle) * distance;
       tendril.position.z = Math.sin(angle) * distance;
       tendril.position.y = 0;
       
-      tendril.userData.phase = Math.random() * Math.PI * 2;
-      tendril.userData.visible = Math.random() > 0.5;
+      tendril.userData.phase = this.random() * Math.PI * 2;
+      tendril.userData.visible = this.random() > 0.5;
       tendril.visible = tendril.userData.visible;
       
       this.vaporClouds.push(tendril);
@@ -254,7 +259,7 @@ export class SolarisMist {
         cloud.material.uniforms.time.value = this.time;
         
         // Rise and dissipate
-        cloud.position.y += cloud.userData.riseSpeed;
+        cloud.position.y += cloud.userData.riseSpeed * deltaTime;
         
         // Horizontal drift
         cloud.userData.angle += cloud.userData.driftSpeed * deltaTime;
@@ -264,7 +269,7 @@ export class SolarisMist {
         
         // Reset if too high
         if (cloud.position.y > cloud.userData.maxHeight) {
-          cloud.position.y = -2 + Math.random() * 2;
+          cloud.position.y = -2 + this.random() * 2;
         }
         
         // Fade based on height
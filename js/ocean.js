@@ -0,0 +1,1239 @@
+import * as THREE from 'three';
+import { SolarisPlasmaEruptions } from './plasma.js';
+import { SolarisWaves, equirectangularChunk } from './waves.js';
+import { SolarisObservationMemory } from './memory.js';
+
+/**
+ * The living ocean of Solaris
+ * A gelatinous, planet-sized mass that undulates, notices its observers,
+ * visualizes its gravitational engineering and erupts with plasma
+ */
+
+const MAX_OBSERVERS = 8;
+const MAX_SUNS = 4;
+
+const vertexShader = `
+${equirectangularChunk}
+uniform float uTime;
+uniform sampler2D uWaveMap;
+uniform float uWaveAmplitude;
+varying vec3 vNormal;
+varying vec3 vViewDir;
+varying vec3 vPos;
+varying vec3 vWorldPos;
+varying vec2 vUv;
+varying float vDepth;
+varying float vWave;
+
+float blobWave(vec3 pos, float speed, float freq, float amp){
+    return sin(pos.x*freq + uTime*speed)* amp +
+    cos(pos.y*freq+uTime*speed)*amp+
+    sin(pos.z*freq+uTime * speed)* amp;
+}
+
+// Propagating ripples from the wave simulation (equirectangular heightfield)
+float simulatedWave(vec3 dir){
+    return texture2D(uWaveMap, directionToUv(dir)).r * uWaveAmplitude;
+}
+
+vec3 displace(vec3 pos){
+    vec3 restDir = normalize(pos);
+
+    //Gooey Planetary Motion
+    float w1 = blobWave(pos, 1.0, 3.0, 0.1);
+    float w2 = blobWave(pos, 0.5, 5.0, 0.05);
+    float w3 = blobWave(pos, 0.2, 7.0, 0.03);
+    pos += normalize(pos)*(w1 + w2 + w3);
+
+    //Subtle Drips/Pulses
+    pos += normalize(pos)*sin(uTime + pos.x*2.0+pos.y*2.0+pos.z*2.0)*0.05;
+
+    //Ripples spreading from disturbances
+    pos += restDir*simulatedWave(restDir);
+    return pos;
+}
+
+void main() {
+    vPos = position;
+    vec3 pos = displace(position);
+
+    // Normal of the displaced surface by finite differences along two tangents,
+    // so lighting follows the swells instead of the undisturbed sphere
+    vec3 dir = normalize(position);
+    float radius = length(position);
+    vec3 tangent = cross(vec3(0.0, 1.0, 0.0), dir);
+    if (dot(tangent, tangent) < 1e-6) tangent = cross(vec3(1.0, 0.0, 0.0), dir);
+    tangent = normalize(tangent);
+    vec3 bitangent = cross(dir, tangent);
+
+    const float epsilon = 0.002;
+    vec3 p1 = displace(normalize(dir + tangent*epsilon)*radius) - pos;
+    vec3 p2 = displace(normalize(dir + bitangent*epsilon)*radius) - pos;
+    vec3 displacedNormal = normalize(cross(p1, p2));
+    if (dot(displacedNormal, dir) < 0.0) displacedNormal = -displacedNormal;
+
+    vNormal = normalize(normalMatrix*displacedNormal);
+    vWave = simulatedWave(dir);
+    vec4 worldPos = modelMatrix * vec4(pos, 1.0);
+    vWorldPos = worldPos.xyz;
+    vViewDir = normalize((modelViewMatrix*vec4(pos, 1.0)).xyz);
+    
+    // Calculate depth from center (for subsurface scattering)
+    vDepth = length(vWorldPos);
+    
+    // Calculate UV coordinates for engineering patterns
+    vUv = vec2(
+        atan(pos.z, pos.x) / (2.0 * 3.14159) + 0.5,
+        asin(pos.y / length(pos)) / 3.14159 + 0.5
+    );
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+}
+`;
+
+const fragmentShader = `
+${equirectangularChunk}
+uniform float uTime;
+uniform vec3 uOceanBase;
+uniform vec3 uHighlight1;
+uniform vec3 uHighlight2;
+uniform vec3 uSunColors[${MAX_SUNS}];
+uniform vec3 uAccentRed;
+uniform vec3 uAccentBlue;
+uniform vec3 uDeepPurple;
+uniform float uMetalness;
+uniform float uRoughness;
+uniform float uOpacity;
+uniform float uGlowIntensity;
+uniform float uFresnelPower;
+uniform samplerCube uEnvMap;
+uniform float uEnvFlip;
+uniform vec3 uSunPositions[${MAX_SUNS}];
+uniform int uSunCount;
+uniform sampler2D uShadowMap;
+uniform mat4 uShadowMatrices[${MAX_SUNS}];
+uniform bool uSunShadows[${MAX_SUNS}];
+uniform float uShadowRadius;
+uniform float uShadowStrength;
+uniform float uEngineeringIntensity;
+uniform vec3 uEngineeringColor;
+uniform float uDepthFalloff;
+uniform float uSubsurfaceStrength;
+uniform vec4 uObservers[${MAX_OBSERVERS}];
+uniform float uObserverRadii[${MAX_OBSERVERS}];
+uniform int uObserverCount;
+uniform float uDisturbance;
+uniform vec3 uDisturbancePoint;
+uniform float uDisturbanceRadius;
+uniform sampler2D uMemoryMap;
+uniform float uMemoryStrength;
+varying float vWave;
+
+varying vec3 vNormal;
+varying vec3 vViewDir;
+varying vec3 vPos;
+varying vec3 vWorldPos;
+varying vec2 vUv;
+varying float vDepth;
+
+// Noise functions for organic engineering patterns
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+float noise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    float a = hash(i);
+    float b = hash(i + vec2(1.0, 0.0));
+    float c = hash(i + vec2(0.0, 1.0));
+    float d = hash(i + vec2(1.0, 1.0));
+    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+}
+
+float fbm(vec2 p) {
+    float value = 0.0;
+    float amplitude = 0.5;
+    for(int i = 0; i < 4; i++) {
+        value += amplitude * noise(p);
+        p *= 2.0;
+        amplitude *= 0.5;
+    }
+    return value;
+}
+
+// Calculate engineering activity for a sun
+float calculateEngineeringZone(vec3 sunPos, vec3 sunColor, int sunIndex) {
+    vec3 normalizedPos = normalize(vWorldPos);
+    vec3 toSun = normalize(sunPos - vWorldPos);
+    
+    float sunAlignment = max(0.0, dot(normalizedPos, toSun));
+    float zoneIntensity = pow(sunAlignment, 0.8);
+    
+    vec2 pulseCoord = vUv * 4.0 + uTime * 0.08 * float(sunIndex + 1);
+    float pulse = fbm(pulseCoord);
+    pulse = sin(pulse * 6.28 + uTime * 1.5) * 0.5 + 0.5;
+    
+    float distance = length(vWorldPos - sunPos);
+    float wave = sin(distance * 0.4 - uTime * 2.5 + float(sunIndex) * 3.14159) * 0.5 + 0.5;
+    
+    float interference = sin(sunAlignment * 15.0 - uTime * 1.8) * 0.5 + 0.5;
+    interference = smoothstep(0.3, 0.7, interference);
+    
+    float activity = zoneIntensity * pulse * wave * 0.6;
+    activity = smoothstep(0.1, 0.9, activity);
+    
+    float rings = sin(sunAlignment * 25.0 - uTime * 1.2) * 0.5 + 0.5;
+    activity += rings * zoneIntensity * interference * 0.2;
+    
+    return activity;
+}
+
+// Sunlight reaching this point through the formations, tinted by them; 3x3 PCF in the sun's atlas tile
+vec3 sunShadow(int i) {
+    vec2 uv = (uShadowMatrices[i] * vec4(vWorldPos, 1.0)).xy;
+    vec3 light = vec3(0.0);
+    for (int x = -1; x <= 1; x++) {
+        for (int y = -1; y <= 1; y++) {
+            light += texture2D(uShadowMap, uv + vec2(float(x), float(y)) * uShadowRadius).rgb;
+        }
+    }
+    return light / 9.0;
+}
+
+void main() {
+    vec3 norm = normalize(vNormal);
+    
+    // Calculate sun influences and each sun's engineering zone
+    vec3 sunTint = vec3(0.0);
+    float sunLight = 0.0;
+    vec3 shadedLight = vec3(0.0);
+    float engineeringSum = 0.0;
+    vec3 engineeringGlow = vec3(0.0);
+    for (int i = 0; i < ${MAX_SUNS}; i++) {
+        if (i >= uSunCount) break;
+        vec3 toSun = normalize(uSunPositions[i] - vWorldPos);
+        float sunInfluence = max(0.0, dot(norm, toSun)) * 0.4;
+        float sunDist = length(uSunPositions[i] - vWorldPos);
+        sunInfluence *= 1.0 / (1.0 + sunDist * 0.02);
+        vec3 shadow = uSunShadows[i] ? sunShadow(i) : vec3(1.0);
+        sunTint += uSunColors[i] * sunInfluence * shadow;
+        sunLight += sunInfluence;
+        shadedLight += shadow * sunInfluence;
+        
+        // === ENGINEERING VISUALIZATION ===
+        float engineering = calculateEngineeringZone(uSunPositions[i], uSunColors[i], i);
+        engineeringSum += engineering;
+        
+        // Zones glow in their sun's color, the busiest zone dominating
+        vec3 zoneColor = mix(uEngineeringColor, uSunColors[i], 0.3);
+        engineeringGlow += zoneColor * engineering * engineering;
+    }
+    engineeringGlow /= engineeringSum + 0.001;
+    
+    float totalEngineering = engineeringSum * uEngineeringIntensity * 0.5;
+    
+    float engineeringEdge = length(fwidth(totalEngineering)) * 20.0;
+    totalEngineering += engineeringEdge * 0.2;
+    totalEngineering = clamp(totalEngineering, 0.0, 1.0);
+    
+    float neuralPattern = fbm(vUv * 8.0 + uTime * 0.05);
+    neuralPattern = smoothstep(0.4, 0.6, neuralPattern);
+    totalEngineering += neuralPattern * totalEngineering * 0.15;
+    // === END ENGINEERING ===
+    
+    // === OBSERVATION RESPONSE ===
+    // Ocean "notices" when being observed and responds to every observer separately
+    float observationResponse = 0.0;
+    float awarenessRipple = 0.0;
+    float distToObservation = 1000.0; // To the observer with the strongest response
+    float strongestResponse = 0.0;
+    for (int i = 0; i < ${MAX_OBSERVERS}; i++) {
+        if (i >= uObserverCount) break;
+        float dist = length(vWorldPos - uObservers[i].xyz);
+        float response = smoothstep(uObserverRadii[i], 0.0, dist) * uObservers[i].w;
+        observationResponse += response;
+        
+        // Create rippling awareness pattern
+        awarenessRipple += (sin(dist * 2.0 - uTime * 3.0) * 0.5 + 0.5) * response;
+        
+        if (response > strongestResponse) {
+            strongestResponse = response;
+            distToObservation = dist;
+        }
+    }
+    observationResponse = min(observationResponse, 1.0);
+    awarenessRipple = min(awarenessRipple, 1.0);
+    
+    // Pulsing consciousness at observation point
+    float consciousnessPulse = sin(uTime * 4.0) * 0.5 + 0.5;
+    float awareness = observationResponse * (0.6 + consciousnessPulse * 0.4);
+    
+    // Organic spreading pattern from observation point
+    float spreadPattern = fbm(vUv * 6.0 + vec2(distToObservation * 0.5 - uTime * 0.3));
+    awareness += spreadPattern * observationResponse * 0.3;
+    
+    // Regions studied for a long time stay restless after the gaze moves on
+    float remembered = texture2D(uMemoryMap, directionToUv(normalize(vPos))).r * uMemoryStrength;
+    awareness += remembered * (0.2 + consciousnessPulse * 0.15);
+    totalEngineering += remembered * 0.15;
+    // === END OBSERVATION ===
+    
+    // === VISCOSITY VARIATIONS ===
+    // Different areas have different viscosities - more liquid vs more gel-like
+    float viscosity = mix(0.3, 0.9, 
+        fbm(vWorldPos.xy * 0.1 + uTime * 0.02));
+    
+    // Add slower, larger-scale viscosity zones
+    float largeViscosityZones = fbm(vWorldPos.xz * 0.05 + uTime * 0.01);
+    viscosity = mix(viscosity, largeViscosityZones, 0.4);
+    
+    // Viscosity affects how the ocean responds to engineering activity
+    // More viscous = more resistant = less visible engineering patterns
+    float viscosityResistance = smoothstep(0.4, 0.7, viscosity);
+    
+    // A poked area briefly liquefies and glows brighter
+    float liquefied = smoothstep(uDisturbanceRadius, 0.0, length(vWorldPos - uDisturbancePoint)) * clamp(uDisturbance, 0.0, 1.0);
+    viscosity = mix(viscosity, 0.1, liquefied * 0.8);
+    awareness += liquefied * 0.4;
+    // === END VISCOSITY ===
+    
+    // === DEPTH LAYERS & SUBSURFACE SCATTERING ===
+    // Calculate depth-based subsurface scattering
+    float depthAttenuation = exp(-vDepth * uDepthFalloff);
+    
+    // Create dynamic subsurface color with subtle variations
+    float subsurfaceNoise = fbm(vWorldPos.xy * 0.3 + uTime * 0.03);
+    vec3 subsurfaceColor = mix(
+        uDeepPurple,
+        mix(uOceanBase, uDeepPurple * 1.5, 0.6),
+        subsurfaceNoise * 0.3 + 0.5
+    );
+    
+    // Add depth-aware color variation with organic movement
+    float depthColorShift = sin(vDepth * 0.8 - uTime * 0.5) * 0.5 + 0.5;
+    subsurfaceColor = mix(subsurfaceColor, uOceanBase * 0.4, depthColorShift * depthAttenuation * 0.3);
+    
+    // Simulate light penetration through the gelatinous mass
+    float lightPenetration = exp(-vDepth * 0.3);
+    vec3 penetratedSunlight = (sunTint * 0.5 + vec3(0.0331, 0.0196, 0.0509)) * lightPenetration; // Dim violet, linear
+    subsurfaceColor += penetratedSunlight * 0.4;
+    // === END DEPTH LAYERS ===
+    
+    // Depth-based color variation (existing)
+    float depthFactor = (vPos.y + 5.0) / 10.0;
+    vec3 depthColor = mix(uOceanBase, uHighlight2, depthFactor * 0.3);
+    
+    // Movement-based iridescence
+    float iridescence = sin(vPos.x * 3.0 + vPos.y * 2.0 + vPos.z * 4.0 + uTime * 2.0) * 0.5 + 0.5;
+    vec3 iridescentColor = mix(uHighlight1, uHighlight2, iridescence);
+    
+    vec3 baseColor = mix(depthColor, iridescentColor, 0.15);
+    baseColor = mix(baseColor, baseColor * (1.0 + sunTint), 0.6);
+    
+    // Blend in subsurface scattering for depth perception
+    baseColor = mix(subsurfaceColor, baseColor, uSubsurfaceStrength);
+    
+    // Blend in engineering activity - modulated by viscosity
+    // More viscous areas show less engineering (they're "slower" to respond)
+    float engineeringVisibility = totalEngineering * mix(0.9, 0.4, viscosity);
+    baseColor = mix(baseColor, engineeringGlow, engineeringVisibility * 0.3);
+    
+    // Add observation response - the ocean becomes more luminous where observed
+    vec3 awarenessColor = mix(uHighlight1, uHighlight2, consciousnessPulse);
+    awarenessColor = mix(awarenessColor, uEngineeringColor, 0.4);
+    baseColor = mix(baseColor, awarenessColor, awareness * 0.5);
+    baseColor += awarenessColor * awarenessRipple * 0.3;
+    
+    // Fresnel effect - stronger in less viscous (more liquid) areas
+    float fresnelPower = mix(uFresnelPower, uFresnelPower * 1.5, 1.0 - viscosity);
+    float fresnel = pow(1.0 - dot(norm, normalize(vViewDir)), fresnelPower);
+    
+    // Environment reflection - varies with viscosity
+    // More viscous = less reflective (more opaque/matte)
+    vec3 reflected = reflect(-vViewDir, norm);
+    vec3 envColor = textureCube(uEnvMap, vec3(uEnvFlip * reflected.x, reflected.yz)).rgb;
+    vec3 tintedEnv = envColor * mix(uOceanBase, vec3(1.0), 0.5);
+    
+    // Metalness and roughness vary with viscosity
+    float effectiveMetalness = uMetalness * mix(1.2, 0.4, viscosity);
+    float effectiveRoughness = mix(0.2, 0.6, 1.0 - viscosity);
+    
+    // Combine base color with metallic reflection
+    vec3 color = mix(baseColor, tintedEnv, effectiveMetalness * 0.8);
+    
+    // Pulsing glow with accent colors
+    float pulse = 0.5 + 0.5 * sin(vPos.x*2.0 + vPos.y*2.0 + vPos.z*2.0 + uTime*3.0);
+    vec3 glowColor = mix(uAccentRed, uAccentBlue, sin(uTime * 0.5) * 0.5 + 0.5);
+    
+    color += fresnel * glowColor * uGlowIntensity * pulse * 0.2;
+    color += fresnel * sunTint * 0.3;
+    color += engineeringGlow * totalEngineering * 0.2;
+    color += engineeringEdge * engineeringGlow * 0.15;
+    
+    // Add observation glow - makes the observed area more vibrant
+    color += awarenessColor * awareness * 0.6;
+    color += awarenessRipple * awarenessColor * observationResponse * 0.4;
+    
+    // Ripple crests catch the light, troughs sink into the deep
+    color += mix(uHighlight1, uAccentBlue, 0.4) * clamp(vWave * 4.0, 0.0, 1.0) * 0.35;
+    color = mix(color, uDeepPurple, clamp(-vWave * 3.0, 0.0, 0.3));
+    
+    // Add subtle subsurface glow around edges
+    float subsurfaceGlow = fresnel * depthAttenuation * 0.3;
+    color += subsurfaceColor * subsurfaceGlow;
+    
+    // Formation shadows darken the sunlit gel in the color of the light that got through
+    vec3 shade = shadedLight / max(sunLight, 1e-4);
+    color *= mix(vec3(1.0), shade, uShadowStrength * smoothstep(0.0, 0.05, sunLight));
+    
+    // Dynamic opacity based on viscosity
+    // More viscous = more opaque (gel-like), less viscous = more transparent (liquid)
+    float dynamicOpacity = mix(0.88, 0.98, viscosity);
+    
+    // Areas with high engineering activity are slightly more visible
+    dynamicOpacity = mix(dynamicOpacity, min(dynamicOpacity * 1.08, 1.0), totalEngineering * 0.3);
+    
+    // Observed areas become slightly more defined/solid
+    dynamicOpacity = mix(dynamicOpacity, min(dynamicOpacity * 1.05, 1.0), awareness * 0.4);
+
+    gl_FragColor = vec4(color, dynamicOpacity);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+// CPU mirror of blobWave in the vertex shader
+function blobWave(x, y, z, time, speed, freq, amp) {
+    return Math.sin(x * freq + time * speed) * amp +
+        Math.cos(y * freq + time * speed) * amp +
+        Math.sin(z * freq + time * speed) * amp;
+}
+
+// Radial displacement the vertex shader applies to a rest position on the sphere
+function surfaceDisplacement(x, y, z, time) {
+    //Gooey Planetary Motion
+    const waves = blobWave(x, y, z, time, 1.0, 3.0, 0.1) +
+        blobWave(x, y, z, time, 0.5, 5.0, 0.05) +
+        blobWave(x, y, z, time, 0.2, 7.0, 0.03);
+
+    //Subtle Drips/Pulses - evaluated on the already displaced position
+    const length = Math.sqrt(x * x + y * y + z * z);
+    const scale = (length + waves) / length;
+    const pulse = Math.sin(time + (x + y + z) * scale * 2.0) * 0.05;
+
+    return waves + pulse;
+}
+
+// CPU mirrors of the fragment shader's noise and engineering zones,
+// so eruptions can find the activity the surface shows
+function fract(x) {
+    return x - Math.floor(x);
+}
+
+function hash(x, y) {
+    return fract(Math.sin(x * 127.1 + y * 311.7) * 43758.5453);
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+}
+
+function noise(x, y) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    let fx = x - ix;
+    let fy = y - iy;
+    fx = fx * fx * (3 - 2 * fx);
+    fy = fy * fy * (3 - 2 * fy);
+    const a = hash(ix, iy);
+    const b = hash(ix + 1, iy);
+    const c = hash(ix, iy + 1);
+    const d = hash(ix + 1, iy + 1);
+    return (a + (b - a) * fx) + ((c + (d - c) * fx) - (a + (b - a) * fx)) * fy;
+}
+
+function fbm(x, y) {
+    let value = 0;
+    let amplitude = 0.5;
+    for (let i = 0; i < 4; i++) {
+        value += amplitude * noise(x, y);
+        x *= 2;
+        y *= 2;
+        amplitude *= 0.5;
+    }
+    return value;
+}
+
+// calculateEngineeringZone for a world position and its local uv
+function engineeringZone(worldPos, u, v, sunPos, sunIndex, time) {
+    const toSun = _toSun.subVectors(sunPos, worldPos).normalize();
+    const sunAlignment = Math.max(0, _sampleDir.copy(worldPos).normalize().dot(toSun));
+    const zoneIntensity = Math.pow(sunAlignment, 0.8);
+
+    const pulseOffset = time * 0.08 * (sunIndex + 1);
+    let pulse = fbm(u * 4 + pulseOffset, v * 4 + pulseOffset);
+    pulse = Math.sin(pulse * 6.28 + time * 1.5) * 0.5 + 0.5;
+
+    const distance = worldPos.distanceTo(sunPos);
+    const wave = Math.sin(distance * 0.4 - time * 2.5 + sunIndex * Math.PI) * 0.5 + 0.5;
+
+    const interference = smoothstep(0.3, 0.7, Math.sin(sunAlignment * 15 - time * 1.8) * 0.5 + 0.5);
+
+    let activity = smoothstep(0.1, 0.9, zoneIntensity * pulse * wave * 0.6);
+
+    const rings = Math.sin(sunAlignment * 25 - time * 1.2) * 0.5 + 0.5;
+    activity += rings * zoneIntensity * interference * 0.2;
+
+    return activity;
+}
+
+const _localDir = new THREE.Vector3();
+const _toSun = new THREE.Vector3();
+const _worldPos = new THREE.Vector3();
+const _tangent = new THREE.Vector3();
+const _bitangent = new THREE.Vector3();
+const _sampleDir = new THREE.Vector3();
+const _p0 = new THREE.Vector3();
+const _p1 = new THREE.Vector3();
+const _p2 = new THREE.Vector3();
+const _inverseRotation = new THREE.Quaternion();
+const _surfaceSphere = new THREE.Sphere();
+const _hit = new THREE.Vector3();
+
+export class SolarisOcean {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+
+        // Solaris color palette
+        const palette = {
+            oceanBase: 0x6A4C93,
+            oceanHighlight1: 0xF2CC8F,
+            oceanHighlight2: 0xD9B3FF,
+            suns: [0xE07A5F, 0x3D5A80], // Until setSunData() brings the real suns
+            accentRed: 0xFF6B6B,
+            accentBlue: 0x8EE3EF,
+            deepPurple: 0x1a0d26,
+            engineering: 0xff9eb3,
+            ...options.palette
+        };
+
+        this.config = {
+            radius: options.radius || 5,
+            lodLevels: options.lodLevels || [
+                { segments: 128, distance: 0 },   // High detail - when close
+                { segments: 64, distance: 10 },   // Medium detail - mid distance
+                { segments: 32, distance: 20 }    // Low detail - far away
+            ],
+            metalness: options.metalness ?? 0.3,
+            roughness: options.roughness ?? 0.35,
+            opacity: options.opacity ?? 0.95,
+            glowIntensity: options.glowIntensity ?? 0.8,
+            fresnelPower: options.fresnelPower ?? 2.8,
+            engineeringIntensity: options.engineeringIntensity ?? 1.3,
+            engineeringPulse: options.engineeringPulse ?? 0.3,
+            engineeringStrain: options.engineeringStrain ?? 0.8, // Extra intensity while the orbits slip away
+            depthFalloff: options.depthFalloff ?? 0.3,
+            subsurfaceStrength: options.subsurfaceStrength ?? 0.5,
+            observationRadius: options.observationRadius ?? 3.0,
+            waveAmplitude: options.waveAmplitude ?? 1.0,
+            memoryStrength: options.memoryStrength ?? 1.0,
+            rotationSpeed: options.rotationSpeed ?? 0.12,
+            pokeEruptionThreshold: options.pokeEruptionThreshold ?? 3.0, // Accumulated poke strength that triggers an eruption
+            eruptions: options.eruptions !== false
+        };
+
+        this.time = 0;
+        this.chaos = 0;
+        this.correctionLoad = null; // Work holding the suns, null while the orbits are scripted
+        this.strain = 0;
+        this.surgeLevel = 0; // Planet-wide engineering surge, fading out
+        this.surgeDecay = 1;
+        this.observationIntensity = 0; // Strongest observer
+        this.observers = new Map();
+        this.sunData = null; // Will store sun positions and colors
+        this.levels = [];
+        this.raycaster = new THREE.Raycaster();
+        this.observationHit = null;
+        this.observationCameraMatrix = new THREE.Matrix4();
+        this.observationCameraMatrix.elements[0] = NaN; // Force the first raycast
+
+        // Pointer disturbances, kept in the ocean's local space so they turn with it
+        this.disturbance = 0;
+        this.disturbancePoint = new THREE.Vector3();
+        this.pokeEnergy = 0;
+
+        this.init(palette, options);
+        this.setEnvMap(options.envMap || null);
+    }
+
+    init(palette, options) {
+        const config = this.config;
+
+        //Shader Material with Dynamic Sun Influence and Engineering Visualization
+        this.uniforms = {
+            uTime: { value: 0.0 },
+            uOceanBase: { value: new THREE.Color(palette.oceanBase) },
+            uHighlight1: { value: new THREE.Color(palette.oceanHighlight1) },
+            uHighlight2: { value: new THREE.Color(palette.oceanHighlight2) },
+            uSunColors: { value: Array.from({ length: MAX_SUNS }, (_, i) => new THREE.Color(palette.suns[i] ?? 0xffffff)) },
+            uAccentRed: { value: new THREE.Color(palette.accentRed) },
+            uAccentBlue: { value: new THREE.Color(palette.accentBlue) },
+            uDeepPurple: { value: new THREE.Color(palette.deepPurple) },
+            uMetalness: { value: config.metalness },
+            uRoughness: { value: config.roughness },
+            uOpacity: { value: config.opacity },
+            uGlowIntensity: { value: config.glowIntensity },
+            uFresnelPower: { value: config.fresnelPower },
+            uEnvMap: { value: null },
+            uEnvFlip: { value: 1 },
+            uSunPositions: { value: [
+                new THREE.Vector3(15, 8, 5),
+                new THREE.Vector3(-12, 6, -8),
+                ...Array.from({ length: MAX_SUNS - 2 }, () => new THREE.Vector3())
+            ] },
+            uSunCount: { value: Math.min(palette.suns.length, MAX_SUNS) },
+            // Replaced by the SolarisShadows uniforms in setShadows()
+            uShadowMap: { value: null },
+            uShadowMatrices: { value: Array.from({ length: MAX_SUNS }, () => new THREE.Matrix4()) },
+            uSunShadows: { value: new Array(MAX_SUNS).fill(false) },
+            uShadowRadius: { value: 0 },
+            uShadowStrength: { value: 0 },
+            uEngineeringIntensity: { value: config.engineeringIntensity },
+            uEngineeringColor: { value: new THREE.Color(palette.engineering) },
+            uDepthFalloff: { value: config.depthFalloff },
+            uSubsurfaceStrength: { value: config.subsurfaceStrength },
+            uObservers: { value: Array.from({ length: MAX_OBSERVERS }, () => new THREE.Vector4()) },
+            uObserverRadii: { value: new Array(MAX_OBSERVERS).fill(config.observationRadius) },
+            uObserverCount: { value: 0 },
+            uDisturbance: { value: 0.0 },
+            uDisturbancePoint: { value: new THREE.Vector3() },
+            uDisturbanceRadius: { value: config.observationRadius * 0.6 },
+            uMemoryMap: { value: null },
+            uMemoryStrength: { value: 0.0 },
+            uWaveMap: { value: null },
+            uWaveAmplitude: { value: 0.0 }
+        };
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            blending: THREE.NormalBlending,
+            depthWrite: true,
+            side: THREE.FrontSide
+        });
+
+        //Sphere for planet-scale ectoplasm with LOD system
+        this.lod = new THREE.LOD();
+
+        config.lodLevels.forEach(level => {
+            const geometry = new THREE.SphereGeometry(config.radius, level.segments, level.segments);
+            const mesh = new THREE.Mesh(geometry, this.material);
+            mesh.frustumCulled = false;
+            // Render after the rest of the scene to avoid black holes
+            mesh.renderOrder = 2;
+            this.lod.addLevel(mesh, level.distance);
+            this.levels.push(mesh);
+        });
+
+        // Keep reference to the highest detail mesh for raycasting
+        this.planet = this.levels[0];
+
+        this.scene.add(this.lod);
+
+        //Wave propagation - needs a renderer to run on the GPU
+        this.waves = null;
+        if (options.renderer && options.waves !== false) {
+            this.waves = new SolarisWaves(options.renderer, options.waveOptions);
+            this.uniforms.uWaveMap.value = this.waves.getTexture();
+            this.uniforms.uWaveAmplitude.value = config.waveAmplitude;
+        }
+
+        //Observation memory - where the ocean has been watched, fading over minutes
+        this.memory = null;
+        if (options.renderer && options.memory !== false) {
+            this.memory = new SolarisObservationMemory(options.renderer, options.memoryOptions);
+            this.uniforms.uMemoryMap.value = this.memory.getTexture();
+            this.uniforms.uMemoryStrength.value = config.memoryStrength;
+        }
+
+        //Plasma Eruption System
+        this.eruptions = new SolarisPlasmaEruptions(this.scene, {
+            surfaceRadius: config.radius,
+            surfaceSampler: this.getSurfaceSampler(),
+            // Eruptions break out where the stabilization work peaks
+            activitySampler: (direction) => this.getEngineeringActivity(direction),
+            random: options.random,
+            // Each eruption sends a ring of ripples across the ocean
+            onEruption: (fountain) => this.addWaveImpulse(fountain.direction, 0.06, 0.12),
+            // Falling spray splashes back into small ripples
+            onSplash: (point) => this.addWaveImpulse(point, -0.02, 0.05),
+            ...options.eruptionOptions
+        });
+        this.eruptions.setEnabled(config.eruptions);
+    }
+
+    /**
+     * Set sun data for the sun tint and engineering visualization
+     * @param {Array} suns - Array of sun objects from createSuns, up to four
+     */
+    setSunData(suns) {
+        this.sunData = suns.slice(0, MAX_SUNS);
+        this.uniforms.uSunCount.value = this.sunData.length;
+        this.sunData.forEach((sun, i) => this.uniforms.uSunColors.value[i].copy(sun.color));
+    }
+
+    //Intelligent Observation System
+    updateObservation(camera) {
+        // Cast ray from center of screen (where camera is looking)
+        // Several simulation steps per frame share one raycast while the camera is still
+        if (!camera.matrixWorld.equals(this.observationCameraMatrix)) {
+            this.observationCameraMatrix.copy(camera.matrixWorld);
+            this.raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
+            const intersects = this.raycaster.intersectObject(this.planet);
+            this.observationHit = intersects.length > 0 ? intersects[0].point : null;
+        }
+
+        if (this.observationHit) {
+            this.setObserver('gaze', this.observationHit);
+        } else {
+            this.releaseObserver('gaze');
+        }
+    }
+
+    /**
+     * Watch a point on the ocean
+     * Each observer fades in while watching and fades out on its own once released;
+     * the strongest eight reach the shader
+     * @param {string} id - Any name, e.g. 'probe:north'; 'gaze', 'disturbance' and 'pointer:*' are used internally
+     * @param {THREE.Vector3} point - World-space point on the surface
+     * @param {Object} [options]
+     * @param {number} [options.radius] - Radius of the response, defaults to the observation radius
+     */
+    setObserver(id, point, options = {}) {
+        let observer = this.observers.get(id);
+        if (!observer) {
+            observer = { id, point: new THREE.Vector3(), intensity: 0, radius: null, active: true };
+            this.observers.set(id, observer);
+        }
+        observer.point.copy(point);
+        observer.active = true;
+        if (options.radius !== undefined) observer.radius = options.radius;
+        return observer;
+    }
+
+    /**
+     * Stop an observer watching; it fades out and is then removed
+     * @param {string} id
+     */
+    releaseObserver(id) {
+        const observer = this.observers.get(id);
+        if (observer) observer.active = false;
+    }
+
+    /**
+     * Let screen pointers observe the ocean - the mouse hover and every active touch
+     * @param {Map<string, THREE.Vector2>} pointers - Pointer positions in normalized device coordinates, by id
+     * @param {THREE.Camera} camera
+     */
+    observePointers(pointers, camera) {
+        this.observers.forEach((observer, id) => {
+            if (id.startsWith('pointer:') && !pointers.has(id.slice(8))) {
+                this.releaseObserver(id);
+            }
+        });
+
+        // The bare sphere is close enough for pointers and far cheaper than the mesh
+        _surfaceSphere.radius = this.config.radius;
+        pointers.forEach((pointer, id) => {
+            this.raycaster.setFromCamera(pointer, camera);
+            if (this.raycaster.ray.intersectSphere(_surfaceSphere, _hit)) {
+                this.setObserver(`pointer:${id}`, _hit);
+            } else {
+                this.releaseObserver(`pointer:${id}`);
+            }
+        });
+    }
+
+    // Fade observers in and out and hand the strongest to the shader
+    updateObservers(deltaTime) {
+        let strongest = 0;
+        this.observers.forEach((observer, id) => {
+            if (observer.active) {
+                // Ocean "notices" being observed, fully aware after a couple of seconds
+                observer.intensity = Math.min(1.0, observer.intensity + 0.6 * deltaTime);
+            } else {
+                // Fade when not observed any more (about 45% per second)
+                observer.intensity *= Math.pow(0.99, deltaTime * 60);
+                if (observer.intensity < 0.01) {
+                    this.observers.delete(id);
+                    return;
+                }
+            }
+            strongest = Math.max(strongest, observer.intensity);
+        });
+        this.observationIntensity = strongest;
+
+        const visible = this.getActiveObservers();
+        visible.forEach((observer, i) => {
+            const { point, intensity, radius } = observer;
+            this.uniforms.uObservers.value[i].set(point.x, point.y, point.z, intensity);
+            this.uniforms.uObserverRadii.value[i] = radius ?? this.config.observationRadius;
+        });
+        this.uniforms.uObserverCount.value = visible.length;
+    }
+
+    /**
+     * Get the observers the ocean currently responds to, strongest first
+     * @returns {Array<{id: string, point: THREE.Vector3, intensity: number, radius: number|null, active: boolean}>}
+     */
+    getActiveObservers() {
+        return [...this.observers.values()]
+            .sort((a, b) => b.intensity - a.intensity)
+            .slice(0, MAX_OBSERVERS);
+    }
+
+    // A recent poke is watched like any other observer until it fades
+    updateDisturbance(deltaTime) {
+        this.pokeEnergy *= Math.pow(0.5, deltaTime);
+
+        if (this.disturbance > 0.01) {
+            const point = this.uniforms.uDisturbancePoint.value
+                .copy(this.disturbancePoint)
+                .applyQuaternion(this.lod.quaternion);
+            const observer = this.setObserver('disturbance', point);
+            observer.intensity = Math.max(observer.intensity, Math.min(this.disturbance, 1.0));
+            // Settles back within a couple of seconds
+            this.disturbance *= Math.pow(0.3, deltaTime);
+        } else {
+            this.disturbance = 0;
+            this.releaseObserver('disturbance');
+        }
+        this.uniforms.uDisturbance.value = this.disturbance;
+    }
+
+    // Write the current points of attention into the observation memory
+    updateMemory(deltaTime) {
+        _inverseRotation.copy(this.lod.quaternion).invert();
+        const observers = this.getActiveObservers().map(observer => ({
+            direction: observer.point.clone().normalize().applyQuaternion(_inverseRotation),
+            intensity: observer.intensity
+        }));
+
+        this.memory.update(deltaTime, observers);
+        this.uniforms.uMemoryMap.value = this.memory.getTexture();
+    }
+
+    /**
+     * How well the ocean remembers being watched along a direction
+     * @param {THREE.Vector3} direction - World-space direction from the planet center
+     * @returns {number} 0 (never watched) to 1 (well remembered); always 0 without a renderer
+     */
+    getMemoryAt(direction) {
+        if (!this.memory) return 0;
+
+        _inverseRotation.copy(this.lod.quaternion).invert();
+        _localDir.copy(direction).normalize().applyQuaternion(_inverseRotation);
+        return this.memory.sample(_localDir);
+    }
+
+    /**
+     * Get a function returning the remembered observation along a world direction,
+     * for spawners that should favour studied regions
+     * @returns {function(THREE.Vector3): number}
+     */
+    getMemorySampler() {
+        return (direction) => this.getMemoryAt(direction);
+    }
+
+    /**
+     * Poke the ocean at a screen point
+     * @param {THREE.Vector2} pointer - Normalized device coordinates
+     * @param {THREE.Camera} camera
+     * @param {number} [strength=1]
+     * @returns {THREE.Vector3|null} The world-space point that was disturbed, or null on a miss
+     */
+    disturbAt(pointer, camera, strength = 1) {
+        this.raycaster.setFromCamera(pointer, camera);
+        const intersects = this.raycaster.intersectObject(this.planet);
+        if (intersects.length === 0) return null;
+
+        const point = intersects[0].point;
+        this.disturb(point, strength);
+        return point;
+    }
+
+    /**
+     * Poke the ocean at a point on its surface
+     * Sends out a ripple ring and briefly liquefies and lights up the area;
+     * a strong poke, or several in quick succession, makes it erupt there
+     * @param {THREE.Vector3} point - World-space point on or above the surface
+     * @param {number} [strength=1] - 1 for a tap, up to 2 for a held press
+     */
+    disturb(point, strength = 1) {
+        _inverseRotation.copy(this.lod.quaternion).invert();
+        this.disturbancePoint.copy(point).applyQuaternion(_inverseRotation);
+        this.disturbance = Math.min(this.disturbance + strength, 2.0);
+
+        // A dip spreads as a ring
+        this.addWaveImpulse(point, -0.05 * strength, 0.06);
+
+        this.pokeEnergy += strength;
+        if (this.pokeEnergy >= this.config.pokeEruptionThreshold || strength >= 2) {
+            this.eruptions.createEruption(point);
+            this.pokeEnergy = 0;
+        }
+    }
+
+    /**
+     * Update the ocean - call this in your animation loop
+     * @param {number} deltaTime - Time elapsed since last frame
+     * @param {THREE.Camera} camera - Camera used for observation and LOD
+     */
+    update(deltaTime, camera) {
+        this.time += deltaTime;
+        this.uniforms.uTime.value = this.time;
+
+        // Update sun positions for engineering visualization
+        if (this.sunData) {
+            this.sunData.forEach((sun, i) => this.uniforms.uSunPositions.value[i].copy(sun.position));
+        }
+
+        if (this.correctionLoad !== null) {
+            // Engineering shows the work actually done holding the suns
+            this.uniforms.uEngineeringIntensity.value = Math.max(0,
+                this.config.engineeringIntensity + (this.correctionLoad - 1) * this.config.engineeringPulse);
+        } else {
+            // Make engineering intensity pulse slowly for living effect
+            this.uniforms.uEngineeringIntensity.value =
+                this.config.engineeringIntensity + Math.sin(this.time * 0.4) * this.config.engineeringPulse;
+        }
+        // A straining ocean works in uneven surges
+        this.uniforms.uEngineeringIntensity.value +=
+            this.strain * this.config.engineeringStrain * (0.6 + Math.sin(this.time * 5.0) * 0.4);
+
+        // Surges flare across the whole planet and die down again
+        this.surgeLevel *= Math.exp(-deltaTime * this.surgeDecay);
+        this.uniforms.uEngineeringIntensity.value += this.surgeLevel;
+
+        if (camera) {
+            this.updateObservation(camera);
+            this.updateLOD(camera);
+        }
+        this.updateDisturbance(deltaTime);
+        this.updateObservers(deltaTime);
+
+        this.eruptions.update(deltaTime, this.time);
+
+        if (this.waves) {
+            // Observed points tremble, sending out steady trains of ripples
+            this.getActiveObservers().forEach(observer => {
+                if (observer.intensity > 0.05) {
+                    const tremble = Math.sin(this.time * 4.0) * observer.intensity * 0.3 * deltaTime;
+                    this.addWaveImpulse(observer.point, tremble, 0.08, deltaTime);
+                }
+            });
+
+            this.waves.update(deltaTime);
+            this.uniforms.uWaveMap.value = this.waves.getTexture();
+        }
+
+        if (this.memory) {
+            this.updateMemory(deltaTime);
+        }
+
+        this.lod.rotation.y += this.config.rotationSpeed * deltaTime;
+    }
+
+    /**
+     * Update LOD based on camera distance
+     * Called by update(); call it directly on frames without a simulation step
+     * @param {THREE.Camera} camera
+     */
+    updateLOD(camera) {
+        this.lod.update(camera);
+    }
+
+    // Displaced surface point along a local (unrotated) unit direction
+    displacedPoint(localDir, time, target) {
+        const radius = this.config.radius;
+        const displacement = surfaceDisplacement(
+            localDir.x * radius, localDir.y * radius, localDir.z * radius, time
+        );
+        return target.copy(localDir).multiplyScalar(radius + displacement);
+    }
+
+    /**
+     * Sample the moving ocean surface, matching the vertex shader
+     * The GPU-only layers on top of the analytic waves are not included
+     * @param {THREE.Vector3} direction - World-space direction from the planet center
+     * @param {number} [time] - Ocean time, defaults to the current time
+     * @param {Object} [target] - Optional object to write into, avoids allocation
+     * @returns {{height: number, position: THREE.Vector3, normal: THREE.Vector3}}
+     * Distance from the planet center, world-space surface point and outward normal
+     */
+    sampleSurface(direction, time = this.time, target = {}) {
+        const position = target.position || new THREE.Vector3();
+        const normal = target.normal || new THREE.Vector3();
+
+        // The shader displaces in the rotating ocean's local space
+        _inverseRotation.copy(this.lod.quaternion).invert();
+        _localDir.copy(direction).normalize().applyQuaternion(_inverseRotation);
+
+        this.displacedPoint(_localDir, time, _p0);
+
+        // Normal by finite differences along two tangents
+        _tangent.set(0, 1, 0).cross(_localDir);
+        if (_tangent.lengthSq() < 1e-6) _tangent.set(1, 0, 0).cross(_localDir);
+        _tangent.normalize();
+        _bitangent.crossVectors(_localDir, _tangent);
+
+        const epsilon = 0.002;
+        this.displacedPoint(_sampleDir.copy(_localDir).addScaledVector(_tangent, epsilon).normalize(), time, _p1);
+        this.displacedPoint(_sampleDir.copy(_localDir).addScaledVector(_bitangent, epsilon).normalize(), time, _p2);
+
+        _p1.sub(_p0);
+        _p2.sub(_p0);
+        normal.crossVectors(_p1, _p2).normalize();
+        if (normal.dot(_localDir) < 0) normal.negate();
+
+        target.height = _p0.length();
+        target.position = position.copy(_p0).applyQuaternion(this.lod.quaternion);
+        target.normal = normal.applyQuaternion(this.lod.quaternion);
+        return target;
+    }
+
+    /**
+     * Evaluate the engineering activity the shader draws, on the CPU
+     * The screen-space edge highlight and neural texture are left out
+     * @param {THREE.Vector3} direction - World-space direction from the planet center
+     * @returns {number} Activity from 0 to 1
+     */
+    getEngineeringActivity(direction) {
+        const worldPos = _worldPos.copy(direction).normalize().multiplyScalar(this.config.radius);
+
+        // Pattern coordinates come from the rotating ocean's local space
+        _inverseRotation.copy(this.lod.quaternion).invert();
+        _localDir.copy(direction).normalize().applyQuaternion(_inverseRotation);
+        const u = Math.atan2(_localDir.z, _localDir.x) / (2 * Math.PI) + 0.5;
+        const v = Math.asin(THREE.MathUtils.clamp(_localDir.y, -1, 1)) / Math.PI + 0.5;
+
+        let sum = 0;
+        for (let i = 0; i < this.uniforms.uSunCount.value; i++) {
+            sum += engineeringZone(worldPos, u, v, this.uniforms.uSunPositions.value[i], i, this.time);
+        }
+
+        const total = sum * this.uniforms.uEngineeringIntensity.value * 0.5;
+        return THREE.MathUtils.clamp(total, 0, 1);
+    }
+
+    /**
+     * Scale how often the ocean erupts by the gravitational chaos it is fighting
+     * @param {number} chaos - Chaos from createSuns().getChaos(), 0 to 2
+     */
+    setChaos(chaos) {
+        this.chaos = chaos;
+        this.eruptions.setRateScale(0.4 + chaos * 0.6);
+    }
+
+    /**
+     * Drive the engineering patterns by the work the ocean does holding the suns
+     * @param {number|null} load - Load from createSuns().getCorrectionLoad(), 1 for a typical load;
+     * null to return to the slow scripted pulse
+     */
+    setCorrectionLoad(load) {
+        this.correctionLoad = load === null ? null : Math.min(load, 2);
+    }
+
+    /**
+     * Show how hard the ocean strains as the suns stray from their orbits
+     * @param {number} strain - Strain from createSuns().getStrain(), 0 (held) to 1
+     */
+    setStrain(strain) {
+        this.strain = THREE.MathUtils.clamp(strain, 0, 1);
+    }
+
+    /**
+     * Flare the engineering patterns across the whole planet, e.g. when the suns eclipse
+     * @param {number} strength - Extra engineering intensity at the peak
+     * @param {number} [duration=4] - Seconds until the surge has mostly died down
+     */
+    surge(strength, duration = 4) {
+        if (strength < this.surgeLevel) return;
+        this.surgeLevel = strength;
+        this.surgeDecay = 3 / duration;
+    }
+
+    /**
+     * Get a function returning the surface height along a world direction,
+     * for subsystems that should ride the moving surface
+     * @returns {function(THREE.Vector3): number}
+     */
+    getSurfaceSampler() {
+        const sample = { position: new THREE.Vector3(), normal: new THREE.Vector3(), height: 0 };
+        return (direction) => this.sampleSurface(direction, this.time, sample).height;
+    }
+
+    /**
+     * Disturb the ocean so ripples spread from a point
+     * Does nothing without a wave simulation
+     * @param {THREE.Vector3} direction - World-space direction (or point) from the planet center
+     * @param {number} amplitude - Height of the disturbance in world units, negative for a dip
+     * @param {number} [radius=0.1] - Angular radius in radians
+     * @param {number} [duration] - Simulation seconds to spread it over, for continuous sources (one wave step by default)
+     */
+    addWaveImpulse(direction, amplitude, radius = 0.1, duration) {
+        if (!this.waves) return;
+
+        // The heightfield turns with the ocean
+        _inverseRotation.copy(this.lod.quaternion).invert();
+        _localDir.copy(direction).normalize().applyQuaternion(_inverseRotation);
+        this.waves.addImpulse(_localDir, amplitude, radius, duration);
+    }
+
+    /**
+     * Set the height of simulated ripples, 0 hides them
+     * @param {number} amplitude
+     */
+    setWaveAmplitude(amplitude) {
+        this.config.waveAmplitude = amplitude;
+        if (this.waves) {
+            this.uniforms.uWaveAmplitude.value = amplitude;
+        }
+    }
+
+    /**
+     * Set how strongly remembered observation shows on the surface, 0 hides it
+     * @param {number} strength
+     */
+    setMemoryStrength(strength) {
+        this.config.memoryStrength = strength;
+        if (this.memory) {
+            this.uniforms.uMemoryStrength.value = strength;
+        }
+    }
+
+    /**
+     * Set the environment map used for metallic reflection
+     * @param {THREE.Texture|null} envMap - Cube texture or cube render target texture
+     */
+    setEnvMap(envMap) {
+        this.uniforms.uEnvMap.value = envMap;
+        // Image cube textures are mirrored relative to rendered ones, as in three's own materials
+        this.uniforms.uEnvFlip.value = envMap && !envMap.isRenderTargetTexture ? -1 : 1;
+    }
+
+    /**
+     * Receive the formations' sun shadows
+     * @param {SolarisShadows} shadows - Shadow atlas to sample; its uniforms are shared, so toggles show at once
+     */
+    setShadows(shadows) {
+        ['uShadowMap', 'uShadowMatrices', 'uSunShadows', 'uShadowRadius', 'uShadowStrength'].forEach((name) => {
+            this.uniforms[name] = shadows.uniforms[name];
+        });
+    }
+
+    /**
+     * Set metalness and roughness of the gel
+     * @param {number} metalness
+     * @param {number} roughness
+     */
+    setMetalness(metalness, roughness = this.config.roughness) {
+        this.config.metalness = metalness;
+        this.config.roughness = roughness;
+        this.uniforms.uMetalness.value = metalness;
+        this.uniforms.uRoughness.value = roughness;
+    }
+
+    /**
+     * Set fresnel glow intensity and power
+     * @param {number} intensity
+     * @param {number} power
+     */
+    setGlow(intensity, power = this.config.fresnelPower) {
+        this.config.glowIntensity = intensity;
+        this.config.fresnelPower = power;
+        this.uniforms.uGlowIntensity.value = intensity;
+        this.uniforms.uFresnelPower.value = power;
+    }
+
+    /**
+     * Set base engineering intensity and the amplitude of its slow pulse
+     * (or of its response to the correction load in physics mode)
+     * @param {number} intensity
+     * @param {number} pulse
+     */
+    setEngineeringIntensity(intensity, pulse = this.config.engineeringPulse) {
+        this.config.engineeringIntensity = intensity;
+        this.config.engineeringPulse = pulse;
+    }
+
+    /**
+     * Set subsurface scattering parameters
+     * @param {number} strength
+     * @param {number} depthFalloff
+     */
+    setSubsurface(strength, depthFalloff = this.config.depthFalloff) {
+        this.config.subsurfaceStrength = strength;
+        this.config.depthFalloff = depthFalloff;
+        this.uniforms.uSubsurfaceStrength.value = strength;
+        this.uniforms.uDepthFalloff.value = depthFalloff;
+    }
+
+    /**
+     * Set the radius of the ocean's localized response to observation
+     * @param {number} radius
+     */
+    setObservationRadius(radius) {
+        this.config.observationRadius = radius;
+        this.uniforms.uDisturbanceRadius.value = radius * 0.6;
+    }
+
+    /**
+     * Enable or disable plasma eruptions
+     * @param {boolean} enabled
+     */
+    setEruptionsEnabled(enabled) {
+        this.config.eruptions = enabled;
+        this.eruptions.setEnabled(enabled);
+    }
+
+    // Toggle visibility
+    setVisible(visible) {
+        this.lod.visible = visible;
+    }
+
+    /**
+     * Check whether an object is one of the ocean's LOD meshes
+     * @param {THREE.Object3D} object
+     * @returns {boolean}
+     */
+    isOceanMesh(object) {
+        return this.levels.includes(object);
+    }
+
+    dispose() {
+        this.eruptions.dispose();
+        if (this.waves) {
+            this.waves.dispose();
+            this.waves = null;
+        }
+        if (this.memory) {
+            this.memory.dispose();
+            this.memory = null;
+        }
+
+        this.levels.forEach(mesh => mesh.geometry.dispose());
+        this.material.dispose();
+        this.scene.remove(this.lod);
+
+        this.levels = [];
+        this.planet = null;
+    }
+}
+
+export default SolarisOcean;
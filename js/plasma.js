@@ -0,0 +1,576 @@
+import * as THREE from 'three';
+import { BLOOM_LAYER, REFLECTION_LAYER } from './layers.js';
+
+/**
+ * Plasma eruptions on the Solaris ocean
+ * Short-lived energy fountains that burst outward from the surface
+ */
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _matrix = new THREE.Matrix4();
+const _tangent = new THREE.Vector3();
+const _bitangent = new THREE.Vector3();
+const _velocity = new THREE.Vector3();
+
+/**
+ * GPU particle sprays thrown out by eruptions
+ * All sprays share one ring buffer of particles, one material and one draw call.
+ * Particles launch along the surface normal, arc back under planetary gravity
+ * and cool from cyan to red; their flight is computed entirely in the vertex shader
+ */
+export class PlasmaSprayPool {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Object} [options]
+     * @param {number} [options.capacity=8192] - Particles in flight at once; the oldest are reused first
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.capacity = options.capacity || 8192;
+        this.cursor = 0;
+        this.splashes = [];
+
+        const capacity = this.capacity;
+        this.geometry = new THREE.BufferGeometry();
+        // Position holds the launch point; the flight is added in the shader
+        this.attributes = {
+            position: new THREE.BufferAttribute(new Float32Array(capacity * 3), 3),
+            aVelocity: new THREE.BufferAttribute(new Float32Array(capacity * 3), 3),
+            aUp: new THREE.BufferAttribute(new Float32Array(capacity * 3), 3),
+            aLaunch: new THREE.BufferAttribute(new Float32Array(capacity), 1),
+            aGravity: new THREE.BufferAttribute(new Float32Array(capacity).fill(1), 1),
+            aSize: new THREE.BufferAttribute(new Float32Array(capacity), 1)
+        };
+        Object.entries(this.attributes).forEach(([name, attribute]) => {
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            this.geometry.setAttribute(name, attribute);
+        });
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uColor1: { value: new THREE.Color(0xFF6B6B) },
+                uColor2: { value: new THREE.Color(0xF2CC8F) },
+                uColor3: { value: new THREE.Color(0x8EE3EF) }
+            },
+            vertexShader: `
+                uniform float uTime;
+                attribute vec3 aVelocity;
+                attribute vec3 aUp;
+                attribute float aLaunch;
+                attribute float aGravity;
+                attribute float aSize;
+                varying float vHeat;
+                varying float vAlpha;
+                
+                void main() {
+                    // Ballistic flight, landing when it falls back to launch height
+                    float t = uTime - aLaunch;
+                    float flightTime = 2.0 * dot(aVelocity, aUp) / aGravity;
+                    vec3 offset = aVelocity * t - aUp * 0.5 * aGravity * t * t;
+                    
+                    float alive = step(0.0, t) * step(t, flightTime);
+                    vHeat = 1.0 - clamp(t / max(flightTime, 0.001), 0.0, 1.0);
+                    vAlpha = alive * (0.4 + vHeat * 0.6);
+                    
+                    vec4 mvPosition = modelViewMatrix * vec4(position + offset, 1.0);
+                    gl_PointSize = alive * aSize * 220.0 / -mvPosition.z;
+                    gl_PointSize = min(gl_PointSize, 24.0);
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 uColor1;
+                uniform vec3 uColor2;
+                uniform vec3 uColor3;
+                varying float vHeat;
+                varying float vAlpha;
+                
+                void main() {
+                    if (vAlpha <= 0.0) discard;
+                    
+                    vec2 center = gl_PointCoord - vec2(0.5);
+                    float dist = length(center);
+                    if (dist > 0.5) discard;
+                    
+                    // Hot cyan at launch, cooling through gold to red as it falls
+                    vec3 color = mix(uColor1, uColor2, smoothstep(0.0, 0.5, vHeat));
+                    color = mix(color, uColor3, smoothstep(0.5, 1.0, vHeat));
+                    
+                    float alpha = pow(1.0 - smoothstep(0.0, 0.5, dist), 1.5) * vAlpha;
+                    gl_FragColor = vec4(color, alpha);
+                    #include <tonemapping_fragment>
+                    #include <colorspace_fragment>
+                }
+            `,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false;
+        this.points.layers.enable(BLOOM_LAYER);
+        this.points.layers.enable(REFLECTION_LAYER);
+        scene.add(this.points);
+    }
+
+    /**
+     * Throw out a spray
+     * @param {THREE.Vector3} origin - Launch point on the surface
+     * @param {THREE.Vector3} normal - Outward surface normal at the launch point
+     * @param {number} time - Simulation time of the launch
+     * @param {function(): number} [random=Math.random]
+     * @param {Object} [options]
+     * @param {number} [options.count=160] - Number of particles
+     * @param {number} [options.speed=2.2] - Launch speed in units per second
+     * @param {number} [options.spread=0.45] - Sideways share of the launch velocity
+     * @param {number} [options.gravity=3.0] - Pull back toward the planet in units per second squared
+     * @param {number} [options.emitDuration=1.5] - Seconds over which particles are launched
+     * @param {number} [options.size=0.6] - Particle size
+     * @param {number} [options.splashCount=6] - Particles whose landing is reported to onSplash
+     * @param {function(THREE.Vector3, number)} [options.onSplash] - Called with the world-space landing point and a strength
+     */
+    emit(origin, normal, time, random = Math.random, options = {}) {
+        const count = Math.min(options.count ?? 160, this.capacity);
+        const speed = options.speed ?? 2.2;
+        const spread = options.spread ?? 0.45;
+        const gravity = options.gravity ?? 3.0;
+        const emitDuration = options.emitDuration ?? 1.5;
+        const size = options.size ?? 0.6;
+        const splashCount = Math.min(options.splashCount ?? 6, count);
+        const splashEvery = splashCount > 0 ? Math.floor(count / splashCount) : 0;
+        let splashes = 0;
+
+        const up = normal;
+        _tangent.set(0, 1, 0).cross(up);
+        if (_tangent.lengthSq() < 1e-6) _tangent.set(1, 0, 0).cross(up);
+        _tangent.normalize();
+        _bitangent.crossVectors(up, _tangent);
+
+        const { position, aVelocity, aUp, aLaunch, aGravity, aSize } = this.attributes;
+        const start = this.cursor;
+
+        for (let n = 0; n < count; n++) {
+            const i = (start + n) % this.capacity;
+            const angle = random() * Math.PI * 2;
+            const sideways = Math.sqrt(random()) * spread;
+            const launchSpeed = speed * (0.6 + random() * 0.4);
+
+            _velocity.copy(up)
+                .addScaledVector(_tangent, Math.cos(angle) * sideways)
+                .addScaledVector(_bitangent, Math.sin(angle) * sideways)
+                .normalize()
+                .multiplyScalar(launchSpeed);
+
+            // Most of the spray leaves early, like a burst settling into a fountain
+            const launch = time + Math.pow(random(), 2) * emitDuration;
+
+            position.setXYZ(i, origin.x, origin.y, origin.z);
+            aVelocity.setXYZ(i, _velocity.x, _velocity.y, _velocity.z);
+            aUp.setXYZ(i, up.x, up.y, up.z);
+            aLaunch.setX(i, launch);
+            aGravity.setX(i, gravity);
+            aSize.setX(i, (0.5 + random() * 0.5) * size);
+
+            if (options.onSplash && splashEvery > 0 && n % splashEvery === 0 && splashes < splashCount) {
+                // Landing point: the sideways drift over the whole flight
+                const flightTime = 2 * _velocity.dot(up) / gravity;
+                const drift = _velocity.clone().addScaledVector(up, -_velocity.dot(up)).multiplyScalar(flightTime);
+                this.splashes.push({
+                    time: launch + flightTime,
+                    point: origin.clone().add(drift),
+                    onSplash: options.onSplash
+                });
+                splashes++;
+            }
+        }
+        this.splashes.sort((a, b) => a.time - b.time);
+
+        // Upload only what was written, in one or two ranges around the ring
+        const end = start + count;
+        Object.values(this.attributes).forEach(attribute => {
+            const size = attribute.itemSize;
+            if (end <= this.capacity) {
+                attribute.addUpdateRange(start * size, count * size);
+            } else {
+                attribute.addUpdateRange(start * size, (this.capacity - start) * size);
+                attribute.addUpdateRange(0, (end - this.capacity) * size);
+            }
+            attribute.needsUpdate = true;
+        });
+        this.cursor = end % this.capacity;
+    }
+
+    /**
+     * @param {number} time - Simulation time, the same clock eruptions are spawned on
+     */
+    update(time) {
+        this.material.uniforms.uTime.value = time;
+
+        // Report landings so the ocean can ripple where the spray falls back
+        while (this.splashes.length > 0 && this.splashes[0].time <= time) {
+            const splash = this.splashes.shift();
+            splash.onSplash(splash.point, 1.0);
+        }
+    }
+
+    dispose() {
+        this.scene.remove(this.points);
+        this.geometry.dispose();
+        this.material.dispose();
+        this.splashes = [];
+    }
+}
+
+/**
+ * Instanced plasma jets
+ * Every fountain shares one cone geometry and one material and all of them
+ * render in a single draw call; lifetime, flow phase and orientation come
+ * from per-instance attributes
+ */
+export class PlasmaFountainPool {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {number} [capacity=64] - Most fountains alive at once
+     */
+    constructor(scene, capacity = 64) {
+        this.scene = scene;
+        this.capacity = capacity;
+
+        // Create animated plasma jet geometry
+        this.geometry = new THREE.ConeGeometry(0.3, 2, 8);
+        this.lifetimes = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+        this.phases = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+        this.lifetimes.setUsage(THREE.DynamicDrawUsage);
+        this.phases.setUsage(THREE.DynamicDrawUsage);
+        this.geometry.setAttribute('aLifetime', this.lifetimes);
+        this.geometry.setAttribute('aPhase', this.phases);
+
+        // Custom plasma shader with flow animation
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uColor1: { value: new THREE.Color(0xFF6B6B) },
+                uColor2: { value: new THREE.Color(0xF2CC8F) },
+                uColor3: { value: new THREE.Color(0x8EE3EF) }
+            },
+            vertexShader: `
+                attribute float aLifetime;
+                attribute float aPhase;
+                varying vec2 vUv;
+                varying float vHeight;
+                varying float vLifetime;
+                varying float vPhase;
+                void main() {
+                    vUv = uv;
+                    vHeight = position.y;
+                    vLifetime = aLifetime;
+                    vPhase = aPhase;
+                    gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform float uTime;
+                uniform vec3 uColor1;
+                uniform vec3 uColor2;
+                uniform vec3 uColor3;
+                varying vec2 vUv;
+                varying float vHeight;
+                varying float vLifetime;
+                varying float vPhase;
+                
+                float hash(vec2 p) {
+                    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+                }
+                
+                float noise(vec2 p) {
+                    vec2 i = floor(p);
+                    vec2 f = fract(p);
+                    f = f * f * (3.0 - 2.0 * f);
+                    float a = hash(i);
+                    float b = hash(i + vec2(1.0, 0.0));
+                    float c = hash(i + vec2(0.0, 1.0));
+                    float d = hash(i + vec2(1.0, 1.0));
+                    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+                }
+                
+                void main() {
+                    // Flowing plasma effect, offset per fountain
+                    float time = uTime + vPhase;
+                    float flow = noise(vec2(vUv.x * 3.0, vUv.y * 2.0 - time * 2.0));
+                    flow += noise(vec2(vUv.x * 6.0, vUv.y * 4.0 - time * 3.0)) * 0.5;
+                    
+                    // Height-based color gradient
+                    vec3 color = mix(uColor1, uColor2, vHeight * 0.5 + 0.5);
+                    color = mix(color, uColor3, flow);
+                    
+                    // Turbulent edges
+                    float edge = smoothstep(0.0, 0.3, vUv.x) * smoothstep(1.0, 0.7, vUv.x);
+                    
+                    // Fade based on lifetime and height
+                    float opacity = vLifetime * edge * (1.0 - vHeight * 0.3);
+                    opacity *= (0.5 + flow * 0.5);
+                    
+                    gl_FragColor = vec4(color, opacity);
+                    #include <tonemapping_fragment>
+                    #include <colorspace_fragment>
+                }
+            `,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.count = 0;
+        // Instances move every frame, so the bounds would always be stale
+        this.mesh.frustumCulled = false;
+        this.mesh.layers.enable(BLOOM_LAYER);
+        this.mesh.layers.enable(REFLECTION_LAYER);
+        scene.add(this.mesh);
+    }
+
+    /**
+     * Write the live fountains into the instance buffers
+     * @param {PlasmaFountain[]} fountains - At most `capacity` fountains
+     * @param {number} time - Simulation time for the flow animation
+     */
+    update(fountains, time) {
+        this.material.uniforms.uTime.value = time;
+
+        const count = Math.min(fountains.length, this.capacity);
+        for (let i = 0; i < count; i++) {
+            const fountain = fountains[i];
+            this.mesh.setMatrixAt(i, _matrix.compose(fountain.position, fountain.quaternion, fountain.scale));
+            this.lifetimes.setX(i, Math.max(fountain.lifetime / fountain.maxLifetime, 0));
+            this.phases.setX(i, fountain.phase);
+        }
+
+        this.mesh.count = count;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.lifetimes.needsUpdate = true;
+        this.phases.needsUpdate = true;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.dispose();
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+//Plasma Fountain Class - the state of one jet, drawn by PlasmaFountainPool
+export class PlasmaFountain {
+    /**
+     * @param {THREE.Vector3} position - Base of the fountain on the surface
+     * @param {THREE.Vector3} direction - Outward direction from the planet center
+     * @param {function(): number} [random=Math.random]
+     */
+    constructor(position, direction, random = Math.random) {
+        this.lifetime = 3.0 + random() * 2.0; // 3-5 seconds
+        this.maxLifetime = this.lifetime;
+
+        // Random flow offset so neighbouring fountains don't pulse in step
+        this.phase = random() * Math.PI * 2;
+
+        this.position = position.clone();
+        this.direction = direction.clone();
+        this.scale = new THREE.Vector3();
+
+        // Orient fountain outward from planet center
+        this.quaternion = new THREE.Quaternion().setFromUnitVectors(_up, direction);
+        this.rotation = new THREE.Euler().setFromQuaternion(this.quaternion);
+    }
+    
+    update(deltaTime, time) {
+        this.lifetime -= deltaTime;
+        
+        // Pulsing height animation
+        const pulsePhase = (1.0 - this.lifetime / this.maxLifetime);
+        this.scale.y = Math.sin(pulsePhase * Math.PI) * (1.5 + Math.sin(time * 3.0) * 0.5);
+        
+        // Slight swaying motion
+        this.rotation.x = Math.sin(time * 2.0) * 0.2;
+        this.quaternion.setFromEuler(this.rotation);
+        
+        // Eruption grows then shrinks
+        const scalePhase = Math.sin(pulsePhase * Math.PI);
+        this.scale.x = scalePhase * 0.8;
+        this.scale.z = scalePhase * 0.8;
+        
+        return this.lifetime > 0;
+    }
+}
+
+export class SolarisPlasmaEruptions {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.fountains = [];
+        this.enabled = true;
+        this.random = options.random || Math.random;
+
+        // Ride the moving ocean surface when a sampler is given
+        this.surfaceSampler = options.surfaceSampler || null;
+        // Called with each new fountain, e.g. to disturb the ocean
+        this.onEruption = options.onEruption || null;
+        // Activity (0 to 1) along a direction; eruptions favour active sites
+        this.activitySampler = options.activitySampler || null;
+        // Called with the world-space point where spray lands back on the ocean
+        this.onSplash = options.onSplash || null;
+        this.rateScale = 1.0;
+        this.time = 0;
+
+        this.config = {
+            surfaceRadius: options.surfaceRadius || 5.0,
+            surfaceOffset: options.surfaceOffset ?? 0.1, // Just above ocean surface
+            interval: options.interval || 4.0,   // Average seconds between eruptions
+            variation: options.variation || 3.0,  // Random variation
+            siteCandidates: options.siteCandidates || 8, // Sites weighed per eruption
+            spray: options.spray ?? {}, // Default spray options, false for no spray
+            maxFountains: options.maxFountains || 64 // Fountains alive at once
+        };
+
+        // Shared buffers: every fountain and every spray particle in two draw calls
+        this.fountainPool = new PlasmaFountainPool(scene, this.config.maxFountains);
+        this.sprayPool = new PlasmaSprayPool(scene, { capacity: options.maxSprayParticles });
+
+        this.timeSinceLastEruption = 0;
+        this.nextEruptionTime = this.rollNextEruptionTime();
+    }
+
+    rollNextEruptionTime() {
+        return this.config.interval + (this.random() - 0.5) * this.config.variation;
+    }
+
+    /**
+     * Create a plasma eruption on the surface
+     * @param {THREE.Vector3} [direction] - Where to erupt, from the planet center; random when omitted
+     * @param {Object} [sprayOptions] - Spray options for this eruption (count, speed, gravity...),
+     * see PlasmaSprayPool.emit
+     * @returns {PlasmaFountain|null} The new fountain, or null when all fountains are in use
+     */
+    createEruption(direction, sprayOptions) {
+        if (this.fountains.length >= this.config.maxFountains) return null;
+
+        let outwardDir;
+        if (direction) {
+            outwardDir = direction.clone().normalize();
+        } else {
+            outwardDir = this.pickEruptionSite();
+        }
+        const position = outwardDir.clone().multiplyScalar(this.getSurfaceHeight(outwardDir));
+
+        const fountain = new PlasmaFountain(position, outwardDir, this.random);
+        this.fountains.push(fountain);
+
+        if (this.config.spray !== false) {
+            this.sprayPool.emit(position, outwardDir, this.time, this.random, {
+                onSplash: this.onSplash,
+                ...this.config.spray,
+                ...sprayOptions
+            });
+        }
+
+        if (this.onEruption) this.onEruption(fountain);
+        return fountain;
+    }
+
+    // Random position on sphere surface
+    randomDirection() {
+        const theta = this.random() * Math.PI * 2;
+        const phi = Math.acos(2 * this.random() - 1);
+
+        return new THREE.Vector3(
+            Math.sin(phi) * Math.cos(theta),
+            Math.sin(phi) * Math.sin(theta),
+            Math.cos(phi)
+        );
+    }
+
+    // Weigh a few random sites by activity and pick one, strongly favouring hotspots
+    pickEruptionSite() {
+        if (!this.activitySampler) return this.randomDirection();
+
+        const candidates = [];
+        let totalWeight = 0;
+        for (let i = 0; i < this.config.siteCandidates; i++) {
+            const direction = this.randomDirection();
+            const activity = this.activitySampler(direction);
+            const weight = activity * activity + 0.001;
+            candidates.push({ direction, weight });
+            totalWeight += weight;
+        }
+
+        let pick = this.random() * totalWeight;
+        for (const candidate of candidates) {
+            pick -= candidate.weight;
+            if (pick <= 0) return candidate.direction;
+        }
+        return candidates[0].direction;
+    }
+
+    // Distance from the planet center at which fountains stand
+    getSurfaceHeight(direction) {
+        const surface = this.surfaceSampler ? this.surfaceSampler(direction) : this.config.surfaceRadius;
+        return surface + this.config.surfaceOffset;
+    }
+
+    update(deltaTime, time) {
+        this.time = time;
+
+        // Update existing fountains
+        for (let i = this.fountains.length - 1; i >= 0; i--) {
+            const fountain = this.fountains[i];
+            if (!fountain.update(deltaTime, time)) {
+                // Remove expired fountain
+                this.fountains.splice(i, 1);
+            } else if (this.surfaceSampler) {
+                fountain.position.copy(fountain.direction)
+                    .multiplyScalar(this.getSurfaceHeight(fountain.direction));
+            }
+        }
+
+        this.spawn(deltaTime);
+
+        this.fountainPool.update(this.fountains, time);
+        this.sprayPool.update(time);
+    }
+
+    spawn(deltaTime) {
+        if (!this.enabled) return;
+
+        // Spawn new eruptions occasionally, more often while the rate is raised
+        this.timeSinceLastEruption += deltaTime * this.rateScale;
+
+        if (this.timeSinceLastEruption >= this.nextEruptionTime) {
+            this.createEruption();
+            this.timeSinceLastEruption = 0;
+            this.nextEruptionTime = this.rollNextEruptionTime();
+        }
+    }
+
+    /**
+     * Speed up or slow down spontaneous eruptions
+     * @param {number} scale - 1 for the configured interval, 2 for twice as often
+     */
+    setRateScale(scale) {
+        this.rateScale = Math.max(0, scale);
+    }
+
+    /**
+     * Enable or disable spawning of new eruptions
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    dispose() {
+        this.fountainPool.dispose();
+        this.sprayPool.dispose();
+        this.fountains = [];
+    }
+}
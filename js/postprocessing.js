@@ -0,0 +1,415 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { BLOOM_LAYER } from './layers.js';
+
+/**
+ * Post-processing for Solaris
+ * The emissive objects (suns, plasma, orbs, discharges) are rendered once more
+ * on their own, everything else blacked out, and that image feeds a selective
+ * bloom and screen-space god rays from every sun. Up to there the frame is
+ * linear HDR in half-float targets; the output pass applies the renderer's
+ * tone mapping and exposure and converts to sRGB. A last pass adds film grain,
+ * vignette and chromatic aberration for the look of a 1972 print
+ */
+
+const MAX_SUNS = 4;
+
+const passVertexShader = `
+varying vec2 vUv;
+
+void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+// Adds the blurred glow of the emissive image
+const BloomMixShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        tBloom: { value: null }
+    },
+    vertexShader: passVertexShader,
+    fragmentShader: `
+uniform sampler2D tDiffuse;
+uniform sampler2D tBloom;
+varying vec2 vUv;
+
+void main() {
+    vec4 base = texture2D(tDiffuse, vUv);
+    gl_FragColor = vec4(base.rgb + texture2D(tBloom, vUv).rgb, base.a);
+}
+`
+};
+
+// Radial blur of the emissive image toward each sun; occluders are black in it
+const GodRaysShader = {
+    defines: {
+        SAMPLES: 48
+    },
+    uniforms: {
+        tDiffuse: { value: null },
+        tEmissive: { value: null },
+        uSunPositions: { value: Array.from({ length: MAX_SUNS }, () => new THREE.Vector2()) },
+        uSunVisibility: { value: new Array(MAX_SUNS).fill(0) },
+        uSunCount: { value: 0 },
+        uDensity: { value: 0.9 },
+        uWeight: { value: 0.4 },
+        uDecay: { value: 0.95 },
+        uExposure: { value: 0.5 }
+    },
+    vertexShader: passVertexShader,
+    fragmentShader: `
+uniform sampler2D tDiffuse;
+uniform sampler2D tEmissive;
+uniform vec2 uSunPositions[${MAX_SUNS}];
+uniform float uSunVisibility[${MAX_SUNS}];
+uniform int uSunCount;
+uniform float uDensity;
+uniform float uWeight;
+uniform float uDecay;
+uniform float uExposure;
+varying vec2 vUv;
+
+void main() {
+    vec4 base = texture2D(tDiffuse, vUv);
+    vec3 rays = vec3(0.0);
+
+    for (int s = 0; s < ${MAX_SUNS}; s++) {
+        if (s >= uSunCount) break;
+        if (uSunVisibility[s] <= 0.0) continue;
+
+        vec2 delta = (vUv - uSunPositions[s]) * uDensity / float(SAMPLES);
+        vec2 coord = vUv;
+        float decay = 1.0;
+        vec3 sum = vec3(0.0);
+
+        for (int i = 0; i < SAMPLES; i++) {
+            coord -= delta;
+            sum += texture2D(tEmissive, coord).rgb * decay * uWeight;
+            decay *= uDecay;
+        }
+
+        rays += sum / float(SAMPLES) * uSunVisibility[s];
+    }
+
+    gl_FragColor = vec4(base.rgb + rays * uExposure, base.a);
+}
+`
+};
+
+// Grain, vignette and chromatic aberration on the display-ready image, each off at zero
+const FilmShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        uTime: { value: 0 },
+        uGrain: { value: 0 },
+        uVignette: { value: 0 },
+        uChromaticAberration: { value: 0 }
+    },
+    vertexShader: passVertexShader,
+    fragmentShader: `
+uniform sampler2D tDiffuse;
+uniform float uTime;
+uniform float uGrain;
+uniform float uVignette;
+uniform float uChromaticAberration;
+varying vec2 vUv;
+
+float random(vec2 co) {
+    return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+void main() {
+    // Lens fringes grow toward the edges
+    vec2 offset = (vUv - 0.5) * uChromaticAberration;
+    vec4 base = texture2D(tDiffuse, vUv);
+    vec3 color = vec3(
+        texture2D(tDiffuse, vUv + offset).r,
+        base.g,
+        texture2D(tDiffuse, vUv - offset).b
+    );
+
+    float vignette = smoothstep(0.85, 0.25, length(vUv - 0.5));
+    color *= mix(1.0, vignette, uVignette);
+
+    // Fresh grain every frame, strongest in the mid-tones like film
+    float noise = random(vUv + fract(uTime)) - 0.5;
+    float luminance = dot(color, vec3(0.299, 0.587, 0.114));
+    color += noise * uGrain * (1.0 - abs(luminance - 0.5));
+
+    gl_FragColor = vec4(color, base.a);
+}
+`
+};
+
+const _projected = new THREE.Vector3();
+const _toSun = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+
+export class SolarisPostProcessing {
+    static MAX_SUNS = MAX_SUNS;
+
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renderer drawing the scene
+     * @param {THREE.Scene} scene - Scene to render
+     * @param {THREE.Camera} camera - Camera to render from
+     * @param {Object} options
+     * @param {boolean} [options.bloom=true] - Selective bloom on the emissive layer
+     * @param {number} [options.bloomStrength=0.8] - Bloom brightness
+     * @param {number} [options.bloomRadius=0.5] - Bloom spread, 0 to 1
+     * @param {boolean} [options.godRays=true] - Light shafts from every sun
+     * @param {number} [options.godRaySamples=48] - Samples along each shaft
+     * @param {number} [options.godRayExposure=0.5] - Shaft brightness
+     * @param {boolean} [options.grain=false] - Film grain
+     * @param {number} [options.grainAmount=0.08] - Grain strength
+     * @param {boolean} [options.vignette=false] - Darkened corners
+     * @param {number} [options.vignetteAmount=0.6] - Vignette strength, 0 to 1
+     * @param {boolean} [options.chromaticAberration=false] - Color fringes toward the edges
+     * @param {number} [options.chromaticAberrationAmount=0.006] - Fringe width at the edge, in screen widths
+     * @param {number} [options.emissiveScale=1] - Resolution of the emissive image relative to the screen
+     */
+    constructor(renderer, scene, camera, options = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+
+        this.config = {
+            bloomStrength: options.bloomStrength ?? 0.8,
+            bloomRadius: options.bloomRadius ?? 0.5,
+            godRaySamples: options.godRaySamples || 48,
+            godRayExposure: options.godRayExposure ?? 0.5,
+            grainAmount: options.grainAmount ?? 0.08,
+            vignetteAmount: options.vignetteAmount ?? 0.6,
+            chromaticAberrationAmount: options.chromaticAberrationAmount ?? 0.006,
+            emissiveScale: options.emissiveScale || 1
+        };
+
+        this.enabled = {
+            bloom: options.bloom !== false,
+            godRays: options.godRays !== false,
+            grain: options.grain === true,
+            vignette: options.vignette === true,
+            chromaticAberration: options.chromaticAberration === true
+        };
+
+        this.time = 0;
+        this.sunData = null; // Will store sun positions for the god rays
+        this.bloomLayer = new THREE.Layers();
+        this.bloomLayer.set(BLOOM_LAYER);
+
+        this.init();
+    }
+
+    init() {
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+
+        // Emissive image: bloom objects in color, every occluder black
+        this.emissiveTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+        this.blackMaterial = new THREE.MeshBasicMaterial({ color: 0x000000, fog: false });
+        this.savedMaterials = new Map();
+        this.hiddenObjects = [];
+
+        this.bloomPass = new UnrealBloomPass(size, this.config.bloomStrength, this.config.bloomRadius, 0);
+
+        // Half-float targets keep overlapping glows above 1 until tone mapping
+        this.composer = new EffectComposer(this.renderer,
+            new THREE.WebGLRenderTarget(size.x, size.y, { type: THREE.HalfFloatType }));
+        this.composer.addPass(new RenderPass(this.scene, this.camera));
+
+        this.bloomMixPass = new ShaderPass(BloomMixShader);
+        // The bloom alone, before the pass blends it back over its input
+        this.bloomMixPass.uniforms.tBloom.value = this.bloomPass.renderTargetsHorizontal[0].texture;
+        this.composer.addPass(this.bloomMixPass);
+
+        this.godRaysPass = new ShaderPass({
+            ...GodRaysShader,
+            defines: { SAMPLES: this.config.godRaySamples }
+        });
+        this.godRaysPass.uniforms.tEmissive.value = this.emissiveTarget.texture;
+        this.godRaysPass.uniforms.uExposure.value = this.config.godRayExposure;
+        this.composer.addPass(this.godRaysPass);
+
+        // Tone mapping (renderer.toneMapping, toneMappingExposure) and sRGB conversion
+        this.outputPass = new OutputPass();
+        this.composer.addPass(this.outputPass);
+
+        this.filmPass = new ShaderPass(FilmShader);
+        this.composer.addPass(this.filmPass);
+
+        this.applyToggles();
+        this.setSize(size.x / this.renderer.getPixelRatio(), size.y / this.renderer.getPixelRatio());
+    }
+
+    // Switch the passes and film effects to match this.enabled
+    applyToggles() {
+        const { bloom, godRays, grain, vignette, chromaticAberration } = this.enabled;
+
+        this.bloomMixPass.enabled = bloom;
+        this.godRaysPass.enabled = godRays;
+
+        const film = this.filmPass.uniforms;
+        film.uGrain.value = grain ? this.config.grainAmount : 0;
+        film.uVignette.value = vignette ? this.config.vignetteAmount : 0;
+        film.uChromaticAberration.value = chromaticAberration ? this.config.chromaticAberrationAmount : 0;
+        this.filmPass.enabled = grain || vignette || chromaticAberration;
+    }
+
+    /**
+     * Set the suns the god rays stream from
+     * @param {Array} suns - Array of sun objects from createSuns (position)
+     */
+    setSunData(suns) {
+        this.sunData = suns.slice(0, MAX_SUNS);
+        this.godRaysPass.uniforms.uSunCount.value = this.sunData.length;
+    }
+
+    /**
+     * Match the canvas size
+     * @param {number} width - CSS pixels
+     * @param {number} height - CSS pixels
+     */
+    setSize(width, height) {
+        const pixelRatio = this.renderer.getPixelRatio();
+        this.composer.setPixelRatio(pixelRatio);
+        this.composer.setSize(width, height);
+
+        const scale = pixelRatio * this.config.emissiveScale;
+        const emissiveWidth = Math.max(1, Math.round(width * scale));
+        const emissiveHeight = Math.max(1, Math.round(height * scale));
+        this.emissiveTarget.setSize(emissiveWidth, emissiveHeight);
+        this.bloomPass.setSize(emissiveWidth, emissiveHeight);
+    }
+
+    /**
+     * Turn one effect on or off
+     * @param {string} name - 'bloom', 'godRays', 'grain', 'vignette' or 'chromaticAberration'
+     * @param {boolean} enabled
+     */
+    setEnabled(name, enabled) {
+        if (!(name in this.enabled)) {
+            console.warn(`Post-processing effect "${name}" not found`);
+            return;
+        }
+        this.enabled[name] = enabled;
+        this.applyToggles();
+    }
+
+    /**
+     * @param {string} name - Effect name, as for setEnabled()
+     * @returns {boolean}
+     */
+    isEnabled(name) {
+        return this.enabled[name] === true;
+    }
+
+    // Screen positions of the suns, faded out behind the camera and off the edges
+    updateSunPositions() {
+        const uniforms = this.godRaysPass.uniforms;
+        this.camera.getWorldDirection(_forward);
+
+        this.sunData.forEach((sun, i) => {
+            _toSun.subVectors(sun.position, this.camera.position).normalize();
+            if (_toSun.dot(_forward) <= 0) {
+                uniforms.uSunVisibility.value[i] = 0;
+                return;
+            }
+
+            _projected.copy(sun.position).project(this.camera);
+            const u = _projected.x * 0.5 + 0.5;
+            const v = _projected.y * 0.5 + 0.5;
+            uniforms.uSunPositions.value[i].set(u, v);
+
+            const outside = Math.max(Math.abs(u - 0.5), Math.abs(v - 0.5)) - 0.5;
+            uniforms.uSunVisibility.value[i] = 1 - THREE.MathUtils.smoothstep(outside, 0, 0.4);
+        });
+    }
+
+    // Render the emissive layer alone, with everything in front of it blacked out
+    renderEmissive(deltaTime) {
+        this.scene.traverse((object) => {
+            if (!object.visible || object.layers.test(this.bloomLayer)) return;
+
+            // Solid surfaces hide what glows behind them; other effects just disappear
+            if (object.isMesh && object.material.depthWrite !== false) {
+                this.savedMaterials.set(object, object.material);
+                object.material = this.blackMaterial;
+            } else if (object.isMesh || object.isPoints || object.isLine || object.isSprite) {
+                object.visible = false;
+                this.hiddenObjects.push(object);
+            }
+        });
+
+        const previousTarget = this.renderer.getRenderTarget();
+        const previousClearColor = this.renderer.getClearColor(new THREE.Color());
+        const previousClearAlpha = this.renderer.getClearAlpha();
+
+        this.renderer.setClearColor(0x000000, 1);
+        this.renderer.setRenderTarget(this.emissiveTarget);
+        this.renderer.clear();
+        this.renderer.render(this.scene, this.camera);
+
+        if (this.enabled.bloom) {
+            this.bloomPass.render(this.renderer, null, this.emissiveTarget, deltaTime, false);
+        }
+
+        this.renderer.setRenderTarget(previousTarget);
+        this.renderer.setClearColor(previousClearColor, previousClearAlpha);
+
+        this.savedMaterials.forEach((material, object) => object.material = material);
+        this.savedMaterials.clear();
+        this.hiddenObjects.forEach(object => object.visible = true);
+        this.hiddenObjects.length = 0;
+    }
+
+    /**
+     * Render the scene through the pass chain to the canvas
+     * @param {number} deltaTime - Real seconds since the last frame
+     */
+    render(deltaTime) {
+        this.time += deltaTime;
+        this.filmPass.uniforms.uTime.value = this.time;
+
+        if (this.enabled.bloom || this.enabled.godRays) {
+            if (this.enabled.godRays && this.sunData) {
+                this.updateSunPositions();
+            }
+            this.renderEmissive(deltaTime);
+        }
+
+        this.composer.render(deltaTime);
+    }
+
+    dispose() {
+        this.composer.passes.forEach(pass => pass.dispose());
+        this.composer.dispose();
+        this.bloomPass.dispose();
+        this.emissiveTarget.dispose();
+        this.blackMaterial.dispose();
+    }
+
+    // Low-cost setup for phones: half-resolution glow, short shafts, no film effects
+    static mobile = {
+        bloom: true,
+        bloomStrength: 0.6,
+        godRays: true,
+        godRaySamples: 16,
+        grain: false,
+        vignette: true,
+        chromaticAberration: false,
+        emissiveScale: 0.5
+    };
+
+    // Everything on for the 1972 film look
+    static film = {
+        grain: true,
+        vignette: true,
+        chromaticAberration: true
+    };
+}
+
+export default SolarisPostProcessing;
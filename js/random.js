@@ -0,0 +1,68 @@
+/**
+ * Seedable random numbers for every Solaris subsystem
+ * Each subsystem draws from its own named stream, so extra draws in one
+ * module never shift the sequence another module sees. The same seed
+ * reproduces the same sky, formations and eruptions, their timing too when
+ * the clock runs on a fixed timestep
+ */
+
+// Hash a string into a 32-bit unsigned integer (cyrb53, folded)
+function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h1 ^ h2) >>> 0;
+}
+
+// Small, fast generator with a 32-bit state (mulberry32)
+function mulberry32(state) {
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class SolarisRandom {
+    /**
+     * @param {number|string} [seed] - Any number or string; a random seed is chosen when omitted
+     */
+    constructor(seed) {
+        this.seed = (seed === undefined || seed === null || seed === '')
+            ? String(Math.floor(Math.random() * 4294967296))
+            : String(seed);
+        this.streams = new Map();
+    }
+
+    /**
+     * Get the stream for a subsystem
+     * Streams are drop-in replacements for Math.random
+     * @param {string} name - Subsystem name, e.g. 'starfield'
+     * @returns {function(): number} Generator returning numbers in [0, 1)
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, mulberry32(hashString(`${this.seed}:${name}`)));
+        }
+        return this.streams.get(name);
+    }
+}
+
+/**
+ * Read the seed from a URL query string (?seed=...)
+ * @param {string} [search] - Query string, defaults to the page's
+ * @returns {string|null}
+ */
+export function getSeedFromURL(search = window.location.search) {
+    return new URLSearchParams(search).get('seed');
+}
+
+export default SolarisRandom;
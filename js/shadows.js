@@ -0,0 +1,296 @@
+import * as THREE from 'three';
+import { SHADOW_LAYER } from './layers.js';
+
+/**
+ * Sun shadows of the formations on the Solaris ocean
+ * Each sun looks at the planet through an orthographic camera fitted around
+ * it and renders the formations into its tile of a shared shadow atlas. The
+ * atlas holds the light that gets through rather than depth: every
+ * translucent membrane multiplies it by its own color, so the shade on the
+ * ocean is soft and tinted. Suns can be switched on and off one by one
+ */
+
+const MAX_SUNS = 4;
+
+const casterVertexShader = `
+varying vec3 vWorldPosition;
+
+void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+}
+`;
+
+const casterFragmentShader = `
+uniform vec3 uColor;
+uniform float uOpacity;
+uniform float uEmergence;
+uniform float uDensity;
+uniform vec3 uSunDirection;
+varying vec3 vWorldPosition;
+
+void main() {
+    // Formations on the planet's far side can only shade ocean the sun doesn't reach
+    if (dot(vWorldPosition, uSunDirection) < 0.0) discard;
+
+    // The light passing through the membrane takes on its color
+    float density = clamp(uOpacity * uEmergence * uDensity, 0.0, 1.0);
+    gl_FragColor = vec4(mix(vec3(1.0), uColor * 0.6, density), 1.0);
+}
+`;
+
+const _bias = new THREE.Matrix4();
+
+export class SolarisShadows {
+    static MAX_SUNS = MAX_SUNS;
+
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renderer drawing the shadow atlas
+     * @param {THREE.Scene} scene - Scene holding the shadow layer
+     * @param {number} [oceanRadius=5] - Radius of the ocean the shadows fall on
+     * @param {Object} options
+     * @param {boolean|boolean[]} [options.suns=true] - Shadows from every sun, or per sun
+     * @param {number} [options.resolution=512] - Size of each sun's shadow map
+     * @param {number} [options.extent] - Half-width of the area each sun covers (oceanRadius + 4, the tallest formations)
+     * @param {number} [options.softness=1.5] - Spread of the filtered edge, in shadow map texels
+     * @param {number} [options.density=1.6] - How much light the formations stop
+     * @param {number} [options.strength=0.6] - How far shadows darken the ocean, 0 to 1
+     * @param {number} [options.interval=0.05] - Simulation seconds between refreshes, 0 for every frame
+     */
+    constructor(renderer, scene, oceanRadius = 5, options = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.oceanRadius = oceanRadius;
+
+        this.config = {
+            resolution: options.resolution || 512,
+            extent: options.extent || oceanRadius + 4,
+            softness: options.softness ?? 1.5,
+            density: options.density ?? 1.6,
+            strength: options.strength ?? 0.6,
+            interval: options.interval ?? 0.05
+        };
+
+        const suns = options.suns ?? true;
+        this.sunEnabled = Array.from({ length: MAX_SUNS }, (_, i) =>
+            Array.isArray(suns) ? suns[i] !== false : suns !== false);
+
+        this.sunData = null; // Will store sun positions
+        this.elapsed = 0;
+        this.rendered = false;
+        this.casters = new Map(); // Formation material -> shadow caster material
+        this.savedMaterials = new Map();
+
+        this.init();
+    }
+
+    init() {
+        const { resolution, extent } = this.config;
+
+        // Four tiles, two by two, one per sun
+        this.renderTarget = new THREE.WebGLRenderTarget(resolution * 2, resolution * 2, {
+            depthBuffer: false
+        });
+
+        this.camera = new THREE.OrthographicCamera(-extent, extent, extent, -extent, 0.1, extent * 4);
+        this.camera.layers.set(SHADOW_LAYER);
+
+        // Shared with the ocean, which samples the atlas
+        this.uniforms = {
+            uShadowMap: { value: this.renderTarget.texture },
+            uShadowMatrices: { value: Array.from({ length: MAX_SUNS }, () => new THREE.Matrix4()) },
+            uSunShadows: { value: this.sunEnabled.map(() => false) },
+            uShadowRadius: { value: 0 },
+            uShadowStrength: { value: 0 }
+        };
+
+        this.sunDirection = { value: new THREE.Vector3() };
+        this.density = { value: this.config.density };
+
+        this.applyConfig();
+    }
+
+    // Push the config into the shared uniforms
+    applyConfig() {
+        this.uniforms.uShadowRadius.value = this.config.softness / (this.config.resolution * 2);
+        this.uniforms.uShadowStrength.value = this.config.strength;
+        this.density.value = this.config.density;
+        this.updateSunFlags();
+    }
+
+    // Only suns that exist and are switched on are sampled
+    updateSunFlags() {
+        const count = this.sunData ? this.sunData.length : 0;
+        this.sunEnabled.forEach((enabled, i) => {
+            this.uniforms.uSunShadows.value[i] = enabled && i < count;
+        });
+    }
+
+    /**
+     * Set the suns casting shadows
+     * @param {Array} suns - Array of sun objects from createSuns (position)
+     */
+    setSunData(suns) {
+        this.sunData = suns.slice(0, MAX_SUNS);
+        this.updateSunFlags();
+        this.rendered = false;
+    }
+
+    /**
+     * Switch one sun's shadows on or off
+     * @param {number} index - Sun index, as in createSuns
+     * @param {boolean} enabled
+     */
+    setSunEnabled(index, enabled) {
+        if (index < 0 || index >= MAX_SUNS) {
+            console.warn(`Solaris has no sun ${index}`);
+            return;
+        }
+        this.sunEnabled[index] = enabled;
+        this.updateSunFlags();
+        this.rendered = false;
+    }
+
+    /**
+     * @param {number} index - Sun index, as in createSuns
+     * @returns {boolean}
+     */
+    isSunEnabled(index) {
+        return this.sunEnabled[index] === true;
+    }
+
+    /**
+     * Change the look of the shadows
+     * @param {Object} options - Any of softness, density and strength
+     */
+    setShadowStyle(options) {
+        Object.assign(this.config, options);
+        this.applyConfig();
+    }
+
+    // Translucent stand-in for a formation material, sharing its color, opacity and emergence
+    getCaster(material) {
+        let caster = this.casters.get(material);
+        if (!caster) {
+            caster = new THREE.ShaderMaterial({
+                uniforms: {
+                    uColor: material.uniforms.uColor,
+                    uOpacity: material.uniforms.uOpacity,
+                    uEmergence: material.uniforms.uEmergence,
+                    uDensity: this.density,
+                    uSunDirection: this.sunDirection
+                },
+                vertexShader: casterVertexShader,
+                fragmentShader: casterFragmentShader,
+                side: THREE.DoubleSide,
+                transparent: true,
+                premultipliedAlpha: true,
+                blending: THREE.MultiplyBlending,
+                depthTest: false,
+                depthWrite: false
+            });
+            this.casters.set(material, caster);
+            // Dissolved formations take their casters with them
+            material.addEventListener('dispose', () => {
+                caster.dispose();
+                this.casters.delete(material);
+            });
+        }
+        return caster;
+    }
+
+    /**
+     * Refresh the shadow atlas every interval
+     * @param {number} deltaTime - Simulation seconds since the last update
+     */
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+        // With every sun switched off the atlas is cleared once and left alone
+        const active = this.uniforms.uSunShadows.value.some(Boolean);
+        if (this.rendered && (!active || this.elapsed < this.config.interval)) return;
+
+        this.elapsed = 0;
+        this.rendered = true;
+        this.render();
+    }
+
+    render() {
+        const { resolution, extent } = this.config;
+        const flags = this.uniforms.uSunShadows.value;
+
+        const previousTarget = this.renderer.getRenderTarget();
+        const previousClearColor = this.renderer.getClearColor(new THREE.Color());
+        const previousClearAlpha = this.renderer.getClearAlpha();
+        const previousAutoClear = this.renderer.autoClear;
+
+        // Full light everywhere, including the tiles of suns without shadows
+        this.renderTarget.viewport.set(0, 0, resolution * 2, resolution * 2);
+        this.renderer.setClearColor(0xffffff, 1);
+        this.renderer.setRenderTarget(this.renderTarget);
+        this.renderer.clear();
+
+        if (flags.some(Boolean)) {
+            // Formations draw as light filters, everything else is off the shadow layer
+            this.scene.traverse((object) => {
+                if (object.isMesh && object.layers.test(this.camera.layers)) {
+                    this.savedMaterials.set(object, object.material);
+                    object.material = this.getCaster(object.material);
+                }
+            });
+
+            this.renderer.autoClear = false;
+            this.sunData.forEach((sun, i) => {
+                if (!flags[i]) return;
+
+                const column = i % 2;
+                const row = Math.floor(i / 2);
+
+                // Looking at the planet center from the sun's side, far enough out to see it all
+                this.sunDirection.value.copy(sun.position).normalize();
+                this.camera.position.copy(this.sunDirection.value).multiplyScalar(extent * 2);
+                this.camera.up.set(0, 1, 0);
+                if (Math.abs(this.sunDirection.value.y) > 0.99) this.camera.up.set(0, 0, 1);
+                this.camera.lookAt(0, 0, 0);
+                this.camera.updateMatrixWorld();
+
+                this.renderTarget.viewport.set(column * resolution, row * resolution, resolution, resolution);
+                this.renderer.setRenderTarget(this.renderTarget);
+                this.renderer.render(this.scene, this.camera);
+
+                // World position to atlas coordinates within this sun's tile
+                _bias.set(
+                    0.25, 0, 0, 0.25 + column * 0.5,
+                    0, 0.25, 0, 0.25 + row * 0.5,
+                    0, 0, 0.5, 0.5,
+                    0, 0, 0, 1
+                );
+                this.uniforms.uShadowMatrices.value[i]
+                    .multiplyMatrices(_bias, this.camera.projectionMatrix)
+                    .multiply(this.camera.matrixWorldInverse);
+            });
+
+            this.savedMaterials.forEach((material, object) => object.material = material);
+            this.savedMaterials.clear();
+        }
+
+        this.renderer.autoClear = previousAutoClear;
+        this.renderer.setRenderTarget(previousTarget);
+        this.renderer.setClearColor(previousClearColor, previousClearAlpha);
+    }
+
+    dispose() {
+        this.renderTarget.dispose();
+        this.casters.forEach(caster => caster.dispose());
+        this.casters.clear();
+    }
+
+    // Phones start without shadows; any sun can still be switched on
+    static mobile = {
+        suns: false,
+        resolution: 256,
+        interval: 0.25
+    };
+}
+
+export default SolarisShadows;
@@ -1,13 +1,18 @@
 import * as THREE from 'three';
+import { REFLECTION_LAYER, SHADOW_LAYER } from './layers.js';
 
 export default class SolarisFormations {
-    constructor(scene, oceanRadius = 5) {
+    constructor(scene, oceanRadius = 5, options = {}) {
         this.scene = scene;
         this.oceanRadius = oceanRadius;
+        this.random = options.random || Math.random;
         this.formations = [];
         this.maxFormations = 5;
         this.spawnTimer = 0;
         this.spawnInterval = 8.0;
+        this.surfaceSampler = null;
+        this.impulseHandler = null;
+        this.memorySampler = null;
         
         this.createInitialFormations();
     }
@@ -29,7 +34,7 @@ export default class SolarisFormations {
     
     selectWeightedFormation(types) {
         const totalWeight = types.reduce((sum, t) => sum + t.weight, 0);
-        let random = Math.random() * totalWeight;
+        let random = this.random() * totalWeight;
         
         for (const type of types) {
             random -= type.weight;
@@ -157,6 +162,8 @@ export default class SolarisFormations {
                     alpha *= (0.6 + edgeSoftness * 0.4);
                     
                     gl_FragColor = vec4(color, alpha);
+                    #include <tonemapping_fragment>
+                    #include <colorspace_fragment>
                 }
             `,
             transparent: true,
@@ -251,9 +258,9 @@ export default class SolarisFormations {
         // Flowing tendrils
         const branchCount = 7;
         for (let i = 0; i < branchCount; i++) {
-            const angle = (i / branchCount) * Math.PI * 2 + Math.random() * 0.8;
-            const height = 0.8 + Math.random() * 1.0;
-            const radius = 0.5 + Math.random() * 0.4;
+            const angle = (i / branchCount) * Math.PI * 2 + this.random() * 0.8;
+            const height = 0.8 + this.random() * 1.0;
+            const radius = 0.5 + this.random() * 0.4;
             
             // Create soft tendril from multiple spheres
             const segments = 4;
@@ -273,7 +280,7 @@ export default class SolarisFormations {
             
             // Terminal bulb
             const bulb = new THREE.Mesh(
-                new THREE.SphereGeometry(0.15 + Math.random() * 0.08, 16, 16),
+                new THREE.SphereGeometry(0.15 + this.random() * 0.08, 16, 16),
                 material
             );
             bulb.position.set(
@@ -290,13 +297,13 @@ export default class SolarisFormations {
                 new THREE.SphereGeometry(0.08, 12, 12),
                 material
             );
-            const angle = Math.random() * Math.PI * 2;
+            const angle = this.random() * Math.PI * 2;
             wisp.position.set(
-                Math.cos(angle) * (0.4 + Math.random() * 0.3),
-                0.5 + i * 0.5 + Math.random() * 0.3,
-                Math.sin(angle) * (0.4 + Math.random() * 0.3)
+                Math.cos(angle) * (0.4 + this.random() * 0.3),
+                0.5 + i * 0.5 + this.random() * 0.3,
+                Math.sin(angle) * (0.4 + this.random() * 0.3)
             );
-            wisp.scale.set(1, 0.6 + Math.random() * 0.6, 1);
+            wisp.scale.set(1, 0.6 + this.random() * 0.6, 1);
             group.add(wisp);
         }
         
@@ -354,13 +361,13 @@ export default class SolarisFormations {
         // Reflection spheres
         for (let i = 0; i < 4; i++) {
             const sphere = new THREE.Mesh(
-                new THREE.SphereGeometry(0.12 + Math.random() * 0.08, 16, 16),
+                new THREE.SphereGeometry(0.12 + this.random() * 0.08, 16, 16),
                 material
             );
             const angle = (i / 4) * Math.PI * 2;
             sphere.position.set(
                 Math.cos(angle) * 0.7,
-                1.3 + Math.random() * 0.4,
+                1.3 + this.random() * 0.4,
                 Math.sin(angle) * 0.7
             );
             group.add(sphere);
@@ -368,7 +375,7 @@ export default class SolarisFormations {
         
         group.userData.formationType = 'mimoid';
         group.userData.rotationSpeed = 0.12;
-        group.userData.oscillationPhase = Math.random() * Math.PI * 2;
+        group.userData.oscillationPhase = this.random() * Math.PI * 2;
         return group;
     }
     
@@ -413,7 +420,7 @@ export default class SolarisFormations {
         
         group.userData.formationType = 'vertebrid';
         group.userData.rotationSpeed = 0.06;
-        group.userData.undulationPhase = Math.random() * Math.PI * 2;
+        group.userData.undulationPhase = this.random() * Math.PI * 2;
         return group;
     }
     
@@ -458,33 +465,65 @@ export default class SolarisFormations {
         
         group.userData.formationType = 'extensor';
         group.userData.rotationSpeed = 0.1;
-        group.userData.extensionPhase = Math.random() * Math.PI * 2;
+        group.userData.extensionPhase = this.random() * Math.PI * 2;
         return group;
     }
     
-    addFormationToScene(formation) {
-        const phi = Math.random() * Math.PI * 2;
-        const theta = Math.random() * Math.PI;
+    randomSurfacePoint() {
+        const phi = this.random() * Math.PI * 2;
+        const theta = this.random() * Math.PI;
+        
+        return new THREE.Vector3(
+            this.oceanRadius * Math.sin(theta) * Math.cos(phi),
+            this.oceanRadius * Math.sin(theta) * Math.sin(phi),
+            this.oceanRadius * Math.cos(theta)
+        );
+    }
+    
+    // Pick a spawn point, favouring regions the ocean remembers being watched
+    pickSpawnPoint() {
+        if (!this.memorySampler) return this.randomSurfacePoint();
+        
+        const candidates = [];
+        let totalWeight = 0;
+        for (let i = 0; i < 4; i++) {
+            const point = this.randomSurfacePoint();
+            const weight = 0.25 + this.memorySampler(point) * 2.0;
+            candidates.push({ point, weight });
+            totalWeight += weight;
+        }
         
-        formation.position.x = this.oceanRadius * Math.sin(theta) * Math.cos(phi);
-        formation.position.y = this.oceanRadius * Math.sin(theta) * Math.sin(phi);
-        formation.position.z = this.oceanRadius * Math.cos(theta);
+        let pick = this.random() * totalWeight;
+        for (const candidate of candidates) {
+            pick -= candidate.weight;
+            if (pick <= 0) return candidate.point;
+        }
+        return candidates[0].point;
+    }
+    
+    addFormationToScene(formation) {
+        formation.position.copy(this.pickSpawnPoint());
         
         const normal = formation.position.clone().normalize();
         formation.lookAt(normal.clone().add(formation.position));
         
         formation.userData = {
             ...formation.userData,
-            phase: Math.random() * Math.PI * 2,
+            phase: this.random() * Math.PI * 2,
             emergenceProgress: 0,
-            maxHeight: 1.0 + Math.random() * 2.0,
-            lifespan: 15 + Math.random() * 30,
+            maxHeight: 1.0 + this.random() * 2.0,
+            lifespan: 15 + this.random() * 30,
             age: 0,
             basePosition: formation.position.clone(),
             originalScale: formation.scale.clone()
         };
         
         formation.scale.setScalar(0.01);
+        // Mirrored in the ocean by the environment map, and shading it from the suns
+        formation.traverse((child) => {
+            child.layers.enable(REFLECTION_LAYER);
+            child.layers.enable(SHADOW_LAYER);
+        });
         this.formations.push(formation);
         this.scene.add(formation);
     }
@@ -510,12 +549,22 @@ export default class SolarisFormations {
                 userData.emergenceProgress = 1.0;
             }
             
+            // Rising and sinking displace the ocean around the formation
+            const emergenceChange = userData.emergenceProgress - (userData.lastEmergence ?? 0);
+            userData.lastEmergence = userData.emergenceProgress;
+            if (this.impulseHandler && emergenceChange !== 0) {
+                this.impulseHandler(userData.basePosition, emergenceChange * 0.15, 0.15, deltaTime);
+            }
+            
             const emergenceScale = Math.pow(userData.emergenceProgress, 0.4);
             formation.scale.copy(userData.originalScale).multiplyScalar(emergenceScale);
             
             const surfaceHeight = userData.maxHeight * userData.emergenceProgress;
             const normal = userData.basePosition.clone().normalize();
+            // Ride the moving ocean surface when a sampler is given
+            const surfaceOffset = this.surfaceSampler ? this.surfaceSampler(normal) - this.oceanRadius : 0;
             formation.position.copy(userData.basePosition).add(normal.multiplyScalar(surfaceHeight));
+            formation.position.addScaledVector(userData.basePosition, surfaceOffset / this.oceanRadius);
             
             formation.rotation.y += deltaTime * (userData.rotationSpeed || 0.05) * userData.emergenceProgress;
             
@@ -544,11 +593,7 @@ export default class SolarisFormations {
             });
             
             if (userData.emergenceProgress <= 0.01 && userData.age > userData.lifespan * 0.8) {
-                this.scene.remove(formation);
-                formation.traverse((child) => {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) child.material.dispose();
-                });
+                this.disposeFormation(formation);
                 this.formations.splice(i, 1);
             }
         }
@@ -572,6 +617,57 @@ export default class SolarisFormations {
         this.addFormationToScene(formation);
     }
     
+    /**
+     * Raise several formations at once, beyond the usual limit
+     * @param {number} [count=3] - Formations to spawn
+     */
+    burst(count = 3) {
+        const room = this.maxFormations * 2 - this.formations.length;
+        for (let i = 0; i < Math.min(count, room); i++) {
+            this.spawnNewFormation();
+        }
+        this.spawnTimer = 0;
+    }
+    
+    /**
+     * Let formations ride the moving ocean surface
+     * @param {function(THREE.Vector3): number|null} sampler - Surface distance from the planet center along a direction
+     */
+    setSurfaceSampler(sampler) {
+        this.surfaceSampler = sampler;
+    }
+    
+    /**
+     * Report emerging and dissolving formations as ocean disturbances
+     * @param {function(THREE.Vector3, number, number, number)|null} handler - Called with
+     * direction, amplitude, angular radius and the simulation seconds it built up over,
+     * e.g. SolarisOcean.addWaveImpulse
+     */
+    setImpulseHandler(handler) {
+        this.impulseHandler = handler;
+    }
+    
+    /**
+     * Favour spawning new formations where the ocean has been watched
+     * @param {function(THREE.Vector3): number|null} sampler - Remembered observation (0 to 1) along a direction
+     */
+    setMemorySampler(sampler) {
+        this.memorySampler = sampler;
+    }
+    
+    disposeFormation(formation) {
+        this.scene.remove(formation);
+        formation.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+    
+    dispose() {
+        this.formations.forEach(formation => this.disposeFormation(formation));
+        this.formations = [];
+    }
+    
     getFormationsNear(position, radius = 2.0) {
         return this.formations.filter(formation => {
             return formation.position.distanceTo(position) < radius;
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { SKY_LAYER } from './layers.js';
+
+/**
+ * Procedural sky dome for the Solaris surface
+ * Every sun brightens the sky by its elevation above the camera's local
+ * horizon and paints its own twilight band as it rises and sets, so a day
+ * on the surface has one dawn per sun. Far out in orbit it fades back to
+ * deep space
+ */
+
+const MAX_SUNS = 4;
+
+const vertexShader = `
+varying vec3 vWorldPosition;
+
+void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+}
+`;
+
+const fragmentShader = `
+uniform vec3 uSunDirections[${MAX_SUNS}];
+uniform vec3 uSunColors[${MAX_SUNS}];
+uniform int uSunCount;
+uniform vec3 uUp;
+uniform vec3 uSpaceColor;
+uniform vec3 uNightColor;
+uniform float uDayStrength;
+uniform float uTwilightStrength;
+uniform float uSurface;
+varying vec3 vWorldPosition;
+
+void main() {
+    vec3 direction = normalize(vWorldPosition - cameraPosition);
+    float height = dot(direction, uUp);
+
+    // Night sky seen through the atmosphere, darker toward the zenith
+    vec3 sky = mix(uNightColor, uSpaceColor, smoothstep(0.0, 0.6, height));
+
+    for (int i = 0; i < ${MAX_SUNS}; i++) {
+        if (i >= uSunCount) break;
+
+        vec3 sunDirection = uSunDirections[i];
+        vec3 sunColor = uSunColors[i];
+        float elevation = dot(sunDirection, uUp);
+        float facing = dot(direction, sunDirection) * 0.5 + 0.5;
+
+        // Daylight: a washed-out version of the sun's color, deeper toward the zenith
+        float day = smoothstep(-0.05, 0.35, elevation);
+        vec3 dayColor = mix(sunColor, vec3(1.0), 0.35);
+        float zenithFalloff = mix(1.0, 0.55, smoothstep(0.0, 1.0, height));
+        sky += dayColor * day * zenithFalloff * (0.5 + facing * 0.5) * uDayStrength;
+
+        // Twilight: a saturated band along the horizon on the sun's side, strongest as it crosses
+        float twilight = 1.0 - smoothstep(0.0, 0.3, abs(elevation + 0.05));
+        float band = exp(-abs(height) * 6.0);
+        sky += sunColor * twilight * band * pow(facing, 3.0) * uTwilightStrength;
+    }
+
+    gl_FragColor = vec4(mix(uSpaceColor, sky, uSurface), 1.0);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+export class SolarisSky {
+    /**
+     * @param {THREE.Scene} scene - Scene the dome is added to
+     * @param {Object} options
+     * @param {number} [options.radius=800] - Dome radius, inside the camera's far plane
+     * @param {number} [options.spaceColor=0x000000] - Deep space, above the atmosphere and in orbit
+     * @param {number} [options.nightColor=0x1a0f1f] - Horizon glow at night
+     * @param {number} [options.dayStrength=0.55] - Brightness of each sun's daylight
+     * @param {number} [options.twilightStrength=0.9] - Brightness of each sun's dawn and dusk band
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+
+        this.config = {
+            radius: options.radius || 800,
+            spaceColor: options.spaceColor ?? 0x000000,
+            nightColor: options.nightColor ?? 0x1a0f1f,
+            dayStrength: options.dayStrength ?? 0.55,
+            twilightStrength: options.twilightStrength ?? 0.9
+        };
+
+        this.sunData = null; // Will store sun positions and colors
+        this.daylight = 0;
+
+        this.init();
+    }
+
+    init() {
+        this.uniforms = {
+            uSunDirections: { value: Array.from({ length: MAX_SUNS }, () => new THREE.Vector3(0, 1, 0)) },
+            uSunColors: { value: Array.from({ length: MAX_SUNS }, () => new THREE.Color()) },
+            uSunCount: { value: 0 },
+            uUp: { value: new THREE.Vector3(0, 1, 0) },
+            uSpaceColor: { value: new THREE.Color(this.config.spaceColor) },
+            uNightColor: { value: new THREE.Color(this.config.nightColor) },
+            uDayStrength: { value: this.config.dayStrength },
+            uTwilightStrength: { value: this.config.twilightStrength },
+            uSurface: { value: 1 }
+        };
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader,
+            fragmentShader,
+            side: THREE.BackSide,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        // Drawn before everything else, stars included, and always around the camera
+        this.mesh = new THREE.Mesh(new THREE.SphereGeometry(this.config.radius, 32, 16), this.material);
+        this.mesh.renderOrder = -2000;
+        this.mesh.frustumCulled = false;
+        this.mesh.layers.enable(SKY_LAYER);
+        this.scene.add(this.mesh);
+    }
+
+    /**
+     * Set sun data for the day and twilight colors
+     * @param {Array} suns - Array of sun objects from createSuns (position, color)
+     */
+    setSunData(suns) {
+        this.sunData = suns.slice(0, MAX_SUNS);
+        this.uniforms.uSunCount.value = this.sunData.length;
+        this.sunData.forEach((sun, i) => this.uniforms.uSunColors.value[i].copy(sun.color));
+    }
+
+    /**
+     * Follow the camera and the suns
+     * @param {THREE.Camera} camera - Camera whose local horizon the suns rise over
+     * @param {number} [modeBlend=0] - 0 standing on the surface, 1 in orbit (SolarisCameraControls.modeBlend)
+     */
+    update(camera, modeBlend = 0) {
+        this.mesh.position.copy(camera.position);
+
+        // The local horizon is the tangent plane under the camera
+        const up = this.uniforms.uUp.value;
+        if (camera.position.lengthSq() > 0) {
+            up.copy(camera.position).normalize();
+        }
+
+        const surface = 1 - modeBlend;
+        this.uniforms.uSurface.value = surface;
+
+        let daylight = 0;
+        if (this.sunData) {
+            this.sunData.forEach((sun, i) => {
+                const direction = this.uniforms.uSunDirections.value[i];
+                direction.subVectors(sun.position, camera.position).normalize();
+                // Same ramp as the shader's daylight
+                daylight = Math.max(daylight, THREE.MathUtils.smoothstep(direction.dot(up), -0.05, 0.35));
+            });
+        }
+        this.daylight = daylight * surface;
+    }
+
+    /**
+     * How bright the day is where the camera stands
+     * @returns {number} 0 (night or orbit) to 1 (a sun high overhead)
+     */
+    getDaylight() {
+        return this.daylight;
+    }
+
+    isSkyMesh(object) {
+        return object === this.mesh;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+export default SolarisSky;
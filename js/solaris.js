@@ -0,0 +1,416 @@
+import * as THREE from 'three';
+import SolarisFog from './fog.js';
+import SolarisFormations from './simulacra.js';
+import { createSuns } from './suns.js';
+import SolarisStarfield from './starfield.js';
+import { SolarisSky } from './sky.js';
+import { SolarisAtmosphere } from './atmosphere.js';
+import { SolarisMist } from './mist.js';
+import { SolarisBioluminescence } from './bioluminescence.js';
+import { SolarisOcean } from './ocean.js';
+import { SolarisCameraControls } from './controls.js';
+import { SolarisRandom } from './random.js';
+import { SolarisClock } from './clock.js';
+import { SolarisPostProcessing } from './postprocessing.js';
+import { SolarisEnvironment } from './environment.js';
+import { SolarisShadows } from './shadows.js';
+
+// Tone mappers that can be picked by name
+const toneMappings = {
+    aces: THREE.ACESFilmicToneMapping,
+    agx: THREE.AgXToneMapping,
+    reinhard: THREE.ReinhardToneMapping,
+    none: THREE.NoToneMapping
+};
+
+const defaultIsMobile = () =>
+    /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+
+/**
+ * Create a complete Solaris scene rendering into a container element
+ * Nothing touches the document outside the container, so several instances
+ * can share a page and each can be torn down independently
+ * @param {HTMLElement} container - Element the canvas is appended to and sized by
+ * @param {Object} options
+ * @param {boolean} [options.isMobile] - Mobile performance mode and on-screen controls (detected by default)
+ * @param {EventTarget} [options.keyboardTarget] - Element receiving key controls (the canvas by default)
+ * @param {number|string} [options.seed] - Seed for reproducible skies, formations and eruptions; timing only
+ * repeats with a fixed timestep, so a seeded run defaults to one
+ * @param {number} [options.timeScale=1] - Simulation speed, 0.1 (slow motion) to 100 (time-lapse)
+ * @param {number} [options.fixedTimestep] - Seconds per simulation step, 0 to follow the frame rate;
+ * 1/60 when a seed is given, otherwise 0
+ * @param {Array<Object>|string} [options.suns='binary'] - One to four sun configs or a named system, see createSuns
+ * @param {boolean|Object} [options.physics=false] - Integrate the suns as a real three-body system, see createSuns
+ * @param {number} [options.stabilization=0.95] - Share of the orbital chaos the ocean cancels, 0 to 1
+ * @param {Object} [options.fog] - SolarisFog options, e.g. SolarisFog.presets.heavy
+ * @param {string|Object} [options.atmosphere] - Atmosphere preset name (as for the fog) or SolarisAtmosphere options
+ * @param {boolean|Object} [options.postProcessing] - SolarisPostProcessing options, e.g. SolarisPostProcessing.film;
+ * false renders straight to the canvas. Mobile starts from SolarisPostProcessing.mobile
+ * @param {boolean|Object} [options.reflections] - SolarisEnvironment options, e.g. { interval: 0 } to refresh
+ * every frame; false mirrors only the sky. Mobile starts from SolarisEnvironment.mobile
+ * @param {boolean|Object} [options.shadows] - SolarisShadows options, e.g. { suns: [true, false] } for the first
+ * sun only; false starts with every sun's shadows off. Mobile starts from SolarisShadows.mobile, without shadows
+ * @param {string} [options.toneMapping='aces'] - 'aces', 'agx', 'reinhard' or 'none'
+ * @param {number} [options.exposure=1] - Exposure before tone mapping
+ * @param {boolean} [options.autoStart=true] - Start rendering immediately
+ * @returns {Object} Handle with pause(), resume(), dispose(), setToneMapping() and setExposure()
+ */
+export function createSolaris(container, options = {}) {
+    const isMobile = options.isMobile ?? defaultIsMobile();
+    const oceanRadius = options.oceanRadius || 5;
+    const random = new SolarisRandom(options.seed);
+
+    let animationFrameId = null;
+    let disposed = false;
+
+    //Scene
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+    const fog = new SolarisFog(scene, options.fog);
+    const formations = new SolarisFormations(scene, oceanRadius, {
+        random: random.stream('formations')
+    });
+    const suns = createSuns(scene, {
+        suns: options.suns,
+        physics: options.physics,
+        stabilization: options.stabilization
+    });
+    const starfield = new SolarisStarfield(scene, {
+        starCount: 1200,
+        minDistance: 30,
+        maxDistance: 100,
+        minBrightness: 0.5,
+        maxBrightness: 1.0,
+        warmStarRatio: 0.3,
+        twinkleSpeed: 0.5,
+        baseOpacity: 0.8,
+        random: random.stream('starfield')
+    });
+    const sky = new SolarisSky(scene);
+    const atmosphere = new SolarisAtmosphere(scene, oceanRadius,
+        typeof options.atmosphere === 'object' ? options.atmosphere : {});
+    if (typeof options.atmosphere === 'string') {
+        atmosphere.applyPreset(options.atmosphere);
+    }
+    const mist = new SolarisMist(scene, oceanRadius, {
+        random: random.stream('mist')
+    });
+    const bioluminescence = new SolarisBioluminescence(scene, oceanRadius, {
+        random: random.stream('bioluminescence')
+    });
+
+    // Connect fog to suns for dynamic color mixing
+    fog.setSunData(suns.getSuns());
+    sky.setSunData(suns.getSuns());
+    atmosphere.setSunData(suns.getSuns());
+
+    //Camera - positioned on the surface
+    camera.position.set(0, oceanRadius + 0.1, 0);
+    camera.near = 0.01;
+    camera.far = 1000;
+    camera.updateProjectionMatrix();
+
+    //Renderer
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    container.appendChild(renderer.domElement);
+    renderer.domElement.style.display = 'block';
+
+    // Shaders work in linear space; the output is tone mapped and converted to sRGB once
+    renderer.outputColorSpace = THREE.SRGBColorSpace;
+    setToneMapping(options.toneMapping || 'aces');
+    setExposure(options.exposure ?? 1);
+
+    //Environment Map for Metallic Reflection - the Solaris sky, formations and plasma, rendered offline
+    const environment = new SolarisEnvironment(renderer, scene, {
+        ...(isMobile ? SolarisEnvironment.mobile : {}),
+        ...(options.reflections === false ? { reflections: false } : options.reflections),
+        random: random.stream('environment')
+    });
+    const envMap = environment.getTexture();
+    scene.environment = envMap;
+
+    //Living ocean with LOD, observation response and plasma eruptions
+    const ocean = new SolarisOcean(scene, {
+        radius: oceanRadius,
+        envMap,
+        renderer,
+        random: random.stream('eruptions')
+    });
+    ocean.setSunData(suns.getSuns());
+
+    //Formation shadows from every sun, received by the ocean
+    const shadows = new SolarisShadows(renderer, scene, oceanRadius, {
+        ...(isMobile ? SolarisShadows.mobile : {}),
+        ...(options.shadows === false ? { suns: false } : options.shadows)
+    });
+    shadows.setSunData(suns.getSuns());
+    ocean.setShadows(shadows);
+
+    //Post-processing: selective bloom, god rays and film effects
+    const postProcessing = options.postProcessing === false ? null : new SolarisPostProcessing(renderer, scene, camera, {
+        ...(isMobile ? SolarisPostProcessing.mobile : {}),
+        ...options.postProcessing
+    });
+    postProcessing?.setSunData(suns.getSuns());
+
+    const controls = new SolarisCameraControls(camera, renderer.domElement, {
+        keyboardTarget: options.keyboardTarget,
+        container,
+        isMobile,
+        distance: oceanRadius + 0.2,
+        minDistance: oceanRadius + 0.1,
+        surfaceRadius: oceanRadius
+    });
+
+    // Camera and formations ride the real moving surface
+    controls.setSurfaceSampler(ocean.getSurfaceSampler());
+    formations.setSurfaceSampler(ocean.getSurfaceSampler());
+    // Emerging and dissolving formations send ripples across the ocean
+    formations.setImpulseHandler((direction, amplitude, radius, duration) =>
+        ocean.addWaveImpulse(direction, amplitude, radius, duration));
+
+    // Studied regions spawn more formations and livelier discharges
+    formations.setMemorySampler(ocean.getMemorySampler());
+    bioluminescence.setMemorySampler(ocean.getMemorySampler());
+
+    // Eclipses and alignments of the suns stir the whole ocean
+    function onEclipseStart(event) {
+        ocean.surge(0.6 + event.coverage * 0.6, 8);
+    }
+    function onSyzygyStart() {
+        ocean.surge(0.4, 4);
+        formations.burst(3);
+    }
+    suns.addEventListener('eclipsestart', onEclipseStart);
+    suns.addEventListener('syzygystart', onSyzygyStart);
+
+    // Clicking or tapping the surface pokes the ocean
+    controls.setTapHandler((pointer, strength) => ocean.disturbAt(pointer, camera, strength));
+
+    // Mobile performance optimizations
+    if (isMobile) {
+        // Reduce formations for better performance
+        formations.maxFormations = 3;
+    }
+
+    //Handle resize of the container rather than the window
+    function resize(width, height) {
+        if (width === 0 || height === 0) return;
+
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+
+        // Maintain pixel ratio optimization on mobile
+        if (isMobile) {
+            renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        }
+        renderer.setSize(width, height);
+        postProcessing?.setSize(width, height);
+    }
+
+    const resizeObserver = new ResizeObserver((entries) => {
+        const { width, height } = entries[0].contentRect;
+        resize(width, height);
+    });
+    resizeObserver.observe(container);
+    resize(container.clientWidth, container.clientHeight);
+
+    //Simulation clock - every subsystem advances by the same steps
+    // Spawn and eruption timing draws per step, so a seeded run needs steps that don't follow the frame rate
+    const seeded = options.seed !== undefined && options.seed !== null && options.seed !== '';
+    const clock = new SolarisClock({
+        timeScale: options.timeScale,
+        fixedTimestep: options.fixedTimestep ?? (seeded ? 1 / 60 : 0)
+    });
+
+    // Simulation hotkeys: P pause, N single step, [ ] slower/faster, 0 real time
+    function onClockKey(e) {
+        switch (e.key.toLowerCase()) {
+            case 'p': clock.togglePause(); break;
+            case 'n': clock.step(); break;
+            case '[': clock.setTimeScale(clock.timeScale / 2); break;
+            case ']': clock.setTimeScale(clock.timeScale * 2); break;
+            case '0': clock.setTimeScale(1); break;
+        }
+    }
+    controls.keyboardTarget.addEventListener('keydown', onClockKey);
+
+    // Stabilization hotkeys: F lets the ocean falter or take hold again, - = weaker/stronger grip
+    const stabilization = suns.getStabilization();
+    function onStabilizationKey(e) {
+        switch (e.key.toLowerCase()) {
+            case 'f': suns.setStabilization(suns.getStabilization() > 0.5 ? 0.1 : stabilization); break;
+            case '-': suns.setStabilization(suns.getStabilization() - 0.1); break;
+            case '=': suns.setStabilization(suns.getStabilization() + 0.1); break;
+        }
+    }
+    controls.keyboardTarget.addEventListener('keydown', onStabilizationKey);
+
+    function simulate(deltaTime) {
+        fog.update(deltaTime);
+        formations.update(deltaTime);
+        // Eclipses and alignments are seen from the camera
+        suns.update(deltaTime, camera);
+        starfield.update(deltaTime);
+        atmosphere.update(deltaTime);
+        mist.update(deltaTime);
+        bioluminescence.update(deltaTime, ocean.observationIntensity);
+
+        // The harder the ocean works against the suns, the more it erupts
+        ocean.setChaos(suns.getChaos());
+        ocean.setCorrectionLoad(suns.getCorrectionLoad());
+        ocean.setStrain(suns.getStrain());
+
+        // Observation, LOD, engineering and eruptions once the camera has moved
+        ocean.update(deltaTime, camera);
+    }
+
+    //Animate
+    function animate() {
+        animationFrameId = requestAnimationFrame(animate);
+        const { realDelta, steps } = clock.tick();
+
+        // Camera controls stay in real time, even while the simulation is paused
+        controls.update();
+        // Hover and every touch observe the ocean alongside the camera's gaze
+        ocean.observePointers(controls.pointers, camera);
+
+        steps.forEach(simulate);
+        if (steps.length === 0) {
+            ocean.updateLOD(camera);
+        }
+
+        // The sky follows the camera in real time too; stars fade out in daylight
+        sky.update(camera, controls.modeBlend);
+        starfield.setOpacity(1 - sky.getDaylight() * 0.9);
+
+        // Reflections and shadows follow the suns, sky and formations of this frame,
+        // at most once a frame however many steps ran
+        const simulated = steps.reduce((total, step) => total + step, 0);
+        environment.update(simulated);
+        shadows.update(simulated);
+
+        // Make sure ocean renders last to avoid black holes, and the sky first
+        scene.traverse((object) => {
+            if (object.isMesh && !ocean.isOceanMesh(object) && !sky.isSkyMesh(object)) {
+                object.renderOrder = 1;
+            }
+        });
+
+        if (postProcessing) {
+            postProcessing.render(realDelta);
+        } else {
+            renderer.render(scene, camera);
+        }
+    }
+
+    /**
+     * Pick the tone mapper applied to the HDR frame
+     * @param {string} name - 'aces', 'agx', 'reinhard' or 'none'
+     */
+    function setToneMapping(name) {
+        if (!(name in toneMappings)) {
+            console.warn(`Tone mapping "${name}" not found`);
+            return;
+        }
+        renderer.toneMapping = toneMappings[name];
+    }
+
+    /**
+     * Brighten or darken the frame before tone mapping
+     * @param {number} exposure - 1 for the palette as designed
+     */
+    function setExposure(exposure) {
+        renderer.toneMappingExposure = Math.max(0, exposure);
+    }
+
+    /**
+     * Stop rendering and simulation; the scene stays on screen
+     */
+    function pause() {
+        if (animationFrameId === null) return;
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+        clock.stop();
+    }
+
+    /**
+     * Continue rendering where pause() left off
+     */
+    function resume() {
+        if (disposed || animationFrameId !== null) return;
+        // Restarting the clock discards the time spent paused
+        clock.start();
+        animate();
+    }
+
+    /**
+     * Stop rendering, remove every listener and free all GPU resources
+     */
+    function dispose() {
+        if (disposed) return;
+        pause();
+        disposed = true;
+
+        resizeObserver.disconnect();
+        controls.keyboardTarget.removeEventListener('keydown', onClockKey);
+        controls.keyboardTarget.removeEventListener('keydown', onStabilizationKey);
+        controls.dispose();
+        suns.removeEventListener('eclipsestart', onEclipseStart);
+        suns.removeEventListener('syzygystart', onSyzygyStart);
+
+        ocean.dispose();
+        formations.dispose();
+        suns.dispose();
+        starfield.dispose();
+        sky.dispose();
+        atmosphere.dispose();
+        mist.dispose();
+        bioluminescence.dispose();
+        fog.dispose();
+        postProcessing?.dispose();
+
+        environment.dispose();
+        scene.environment = null;
+        shadows.dispose();
+
+        renderer.dispose();
+        renderer.forceContextLoss();
+        renderer.domElement.remove();
+    }
+
+    if (options.autoStart !== false) {
+        resume();
+    }
+
+    // Return public API
+    return {
+        seed: random.seed,
+        random,
+        scene,
+        camera,
+        renderer,
+        clock,
+        ocean,
+        suns,
+        fog,
+        formations,
+        starfield,
+        sky,
+        atmosphere,
+        mist,
+        bioluminescence,
+        controls,
+        postProcessing,
+        environment,
+        shadows,
+        pause,
+        resume,
+        dispose,
+        setToneMapping,
+        setExposure,
+        isRunning: () => animationFrameId !== null
+    };
+}
+
+export default createSolaris;
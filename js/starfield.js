@@ -1,8 +1,23 @@
 import * as THREE from 'three';
+import { SKY_LAYER } from './layers.js';
+
+const _color = new THREE.Color();
+
+// Star and nebula colors are picked as sRGB, the shaders work in linear space
+function toLinearColors(colors) {
+    for (let i = 0; i < colors.length; i += 3) {
+        _color.setRGB(colors[i], colors[i + 1], colors[i + 2], THREE.SRGBColorSpace);
+        colors[i] = _color.r;
+        colors[i + 1] = _color.g;
+        colors[i + 2] = _color.b;
+    }
+    return colors;
+}
 
 class SolarisStarfield {
     constructor(scene, options = {}) {
         this.scene = scene;
+        this.random = options.random || Math.random;
         this.options = {
             // Star populations
             backgroundStars: options.backgroundStars || 800,
@@ -58,15 +73,15 @@ class SolarisStarfield {
         
         const range = colors[type];
         return {
-            r: range.r[0] + Math.random() * (range.r[1] - range.r[0]),
-            g: range.g[0] + Math.random() * (range.g[1] - range.g[0]),
-            b: range.b[0] + Math.random() * (range.b[1] - range.b[0])
+            r: range.r[0] + this.random() * (range.r[1] - range.r[0]),
+            g: range.g[0] + this.random() * (range.g[1] - range.g[0]),
+            b: range.b[0] + this.random() * (range.b[1] - range.b[0])
         };
     }
     
     // Select stellar type with realistic distribution
     selectStellarType() {
-        const rand = Math.random();
+        const rand = this.random();
         // Realistic stellar population (most stars are red dwarfs)
         if (rand < 0.76) return 'M';       // 76% red dwarfs
         if (rand < 0.88) return 'K';       // 12% orange
@@ -79,11 +94,11 @@ class SolarisStarfield {
     
     // Generate position in galactic plane
     generateGalacticPlanePosition(minDist, maxDist) {
-        const theta = Math.random() * Math.PI * 2;
-        const radius = minDist + Math.random() * (maxDist - minDist);
+        const theta = this.random() * Math.PI * 2;
+        const radius = minDist + this.random() * (maxDist - minDist);
         
         // Concentrate in a plane with some thickness
-        const planeY = (Math.random() - 0.5) * this.options.galacticPlaneThickness * radius;
+        const planeY = (this.random() - 0.5) * this.options.galacticPlaneThickness * radius;
         
         return {
             x: radius * Math.cos(theta),
@@ -94,9 +109,9 @@ class SolarisStarfield {
     
     // Generate random spherical position
     generateSphericalPosition(minDist, maxDist) {
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
-        const radius = minDist + Math.random() * (maxDist - minDist);
+        const theta = this.random() * Math.PI * 2;
+        const phi = Math.acos(2 * this.random() - 1);
+        const radius = minDist + this.random() * (maxDist - minDist);
         
         return {
             x: radius * Math.sin(phi) * Math.cos(theta),
@@ -108,9 +123,9 @@ class SolarisStarfield {
     // Generate clustered position
     generateClusteredPosition(clusterCenter, clusterRadius) {
         // Random position within cluster sphere
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1);
-        const radius = Math.pow(Math.random(), 0.5) * clusterRadius; // Concentrate toward center
+        const theta = this.random() * Math.PI * 2;
+        const phi = Math.acos(2 * this.random() - 1);
+        const radius = Math.pow(this.random(), 0.5) * clusterRadius; // Concentrate toward center
         
         return {
             x: clusterCenter.x + radius * Math.sin(phi) * Math.cos(theta),
@@ -130,11 +145,11 @@ class SolarisStarfield {
             
             // Determine position
             let pos;
-            if (clusters && Math.random() < 0.3) {
+            if (clusters && this.random() < 0.3) {
                 // 30% chance to be in a cluster
-                const cluster = clusters[Math.floor(Math.random() * clusters.length)];
+                const cluster = clusters[Math.floor(this.random() * clusters.length)];
                 pos = this.generateClusteredPosition(cluster, this.options.clusterRadius);
-            } else if (useGalacticPlane && Math.random() < this.options.galacticPlaneRatio) {
+            } else if (useGalacticPlane && this.random() < this.options.galacticPlaneRatio) {
                 pos = this.generateGalacticPlanePosition(minDist, maxDist);
             } else {
                 pos = this.generateSphericalPosition(minDist, maxDist);
@@ -149,7 +164,7 @@ class SolarisStarfield {
             const color = this.getStarColor(stellarType);
             
             // Power law brightness distribution (many dim, few bright)
-            const brightness = Math.pow(Math.random(), 2.0);
+            const brightness = Math.pow(this.random(), 2.0);
             
             colors[i3] = color.r * (0.3 + brightness * 0.7);
             colors[i3 + 1] = color.g * (0.3 + brightness * 0.7);
@@ -168,7 +183,7 @@ class SolarisStarfield {
             sizes[i] = baseSize;
             
             // Occasional super bright stars (distant galaxies/supergiants)
-            if (Math.random() < 0.015) {
+            if (this.random() < 0.015) {
                 sizes[i] *= 3.0;
                 colors[i3] *= 1.3;
                 colors[i3 + 1] *= 1.3;
@@ -190,23 +205,23 @@ class SolarisStarfield {
             const i3 = i * 3;
             
             // More dispersed gaussian distribution
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
-            const r = Math.pow(Math.random(), 0.3) * radius; // More spread out
+            const theta = this.random() * Math.PI * 2;
+            const phi = Math.acos(2 * this.random() - 1);
+            const r = Math.pow(this.random(), 0.3) * radius; // More spread out
             
             positions[i3] = center.x + r * Math.sin(phi) * Math.cos(theta);
             positions[i3 + 1] = center.y + r * Math.sin(phi) * Math.sin(theta);
             positions[i3 + 2] = center.z + r * Math.cos(phi);
             
             // Nebula color with more variation
-            const brightness = 0.2 + Math.random() * 0.4;
-            const colorVariation = 0.7 + Math.random() * 0.6;
+            const brightness = 0.2 + this.random() * 0.4;
+            const colorVariation = 0.7 + this.random() * 0.6;
             colors[i3] = color.r * brightness * colorVariation;
             colors[i3 + 1] = color.g * brightness * colorVariation;
             colors[i3 + 2] = color.b * brightness * colorVariation;
             
             // Smaller, more varied particles
-            sizes[i] = 2.0 + Math.random() * 6.0;
+            sizes[i] = 2.0 + this.random() * 6.0;
         }
         
         return { positions, colors, sizes };
@@ -263,7 +278,7 @@ class SolarisStarfield {
         layers.forEach((layer, index) => {
             const geometry = new THREE.BufferGeometry();
             geometry.setAttribute('position', new THREE.BufferAttribute(layer.data.positions, 3));
-            geometry.setAttribute('color', new THREE.BufferAttribute(layer.data.colors, 3));
+            geometry.setAttribute('color', new THREE.BufferAttribute(toLinearColors(layer.data.colors), 3));
             geometry.setAttribute('size', new THREE.BufferAttribute(layer.data.sizes, 1));
             
             const material = new THREE.ShaderMaterial({
@@ -327,6 +342,8 @@ class SolarisStarfield {
                         vec3 glowColor = vColor * (1.0 + (1.0 - dist) * 0.8);
                         
                         gl_FragColor = vec4(glowColor, alpha);
+                        #include <tonemapping_fragment>
+                        #include <colorspace_fragment>
                     }
                 `,
                 transparent: true,
@@ -337,6 +354,7 @@ class SolarisStarfield {
             
             const starfield = new THREE.Points(geometry, material);
             starfield.renderOrder = -1000 + index;
+            starfield.layers.enable(SKY_LAYER);
             this.scene.add(starfield);
             this.starfields.push(starfield);
         });
@@ -355,7 +373,7 @@ class SolarisStarfield {
             
             const geometry = new THREE.BufferGeometry();
             geometry.setAttribute('position', new THREE.BufferAttribute(nebulaData.positions, 3));
-            geometry.setAttribute('color', new THREE.BufferAttribute(nebulaData.colors, 3));
+            geometry.setAttribute('color', new THREE.BufferAttribute(toLinearColors(nebulaData.colors), 3));
             geometry.setAttribute('size', new THREE.BufferAttribute(nebulaData.sizes, 1));
             
             const material = new THREE.ShaderMaterial({
@@ -404,6 +422,8 @@ class SolarisStarfield {
                         alpha *= 0.5 + 0.5 * (1.0 - dist);
                         
                         gl_FragColor = vec4(vColor, alpha);
+                        #include <tonemapping_fragment>
+                        #include <colorspace_fragment>
                     }
                 `,
                 transparent: true,
@@ -414,6 +434,7 @@ class SolarisStarfield {
             
             const nebula = new THREE.Points(geometry, material);
             nebula.renderOrder = -1100;
+            nebula.layers.enable(SKY_LAYER);
             this.scene.add(nebula);
             this.nebulae.push(nebula);
         }
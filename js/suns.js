@@ -1,20 +1,284 @@
 import * as THREE from 'three';
+import { BLOOM_LAYER, SKY_LAYER } from './layers.js';
 
-export function createSuns(scene) {
+const MAX_SUNS = 4;
+
+// Gravitational parameter for orbits given without a speed: a 250-unit orbit
+// then takes the red sun's 0.08 radians per second
+const DEFAULT_GRAVITATIONAL_PARAMETER = 0.08 * 0.08 * Math.pow(250, 3);
+
+/**
+ * Normalize an orbit config to Keplerian elements
+ * Legacy circles map to a = radius, e = 0, i = tilt, node = periapsis = 0,
+ * mean anomaly = phaseOffset and mean motion = speed
+ * @param {Object} orbit - Either { radius, speed, tilt, phaseOffset } or Keplerian elements in radians:
+ * { semiMajorAxis, eccentricity, inclination, ascendingNode, argumentOfPeriapsis, meanAnomaly },
+ * with an optional meanMotion (radians per second) or period (seconds)
+ * @returns {Object} Elements plus the orbit's P and Q axes in scene space
+ */
+export function toOrbitalElements(orbit) {
+    const semiMajorAxis = orbit.semiMajorAxis ?? orbit.radius;
+    let meanMotion = orbit.meanMotion ?? orbit.speed;
+    if (meanMotion === undefined) {
+        meanMotion = orbit.period
+            ? 2 * Math.PI / orbit.period
+            : Math.sqrt(DEFAULT_GRAVITATIONAL_PARAMETER / Math.pow(semiMajorAxis, 3));
+    }
+
+    const elements = {
+        semiMajorAxis,
+        eccentricity: THREE.MathUtils.clamp(orbit.eccentricity ?? 0, 0, 0.95), // Bound orbits only
+        inclination: orbit.inclination ?? orbit.tilt ?? 0,
+        ascendingNode: orbit.ascendingNode ?? 0,
+        argumentOfPeriapsis: orbit.argumentOfPeriapsis ?? 0,
+        meanAnomaly: orbit.meanAnomaly ?? orbit.phaseOffset ?? 0,
+        meanMotion
+    };
+
+    // Perifocal axes (toward periapsis, and 90 degrees ahead) rotated into place;
+    // the reference plane is the scene's XY plane, its normal pointing to -Z
+    const { ascendingNode: node, argumentOfPeriapsis: periapsis, inclination } = elements;
+    const cosNode = Math.cos(node), sinNode = Math.sin(node);
+    const cosPeri = Math.cos(periapsis), sinPeri = Math.sin(periapsis);
+    const cosInc = Math.cos(inclination), sinInc = Math.sin(inclination);
+    elements.p = new THREE.Vector3(
+        cosNode * cosPeri - sinNode * sinPeri * cosInc,
+        sinNode * cosPeri + cosNode * sinPeri * cosInc,
+        -sinPeri * sinInc
+    );
+    elements.q = new THREE.Vector3(
+        -cosNode * sinPeri - sinNode * cosPeri * cosInc,
+        cosNode * cosPeri * cosInc - sinNode * sinPeri,
+        -cosPeri * sinInc
+    );
+    return elements;
+}
+
+// Eccentric anomaly for a mean anomaly, by Newton's method on Kepler's equation M = E - e sin E
+function solveKepler(meanAnomaly, eccentricity) {
+    const M = THREE.MathUtils.euclideanModulo(meanAnomaly, 2 * Math.PI);
+    let E = eccentricity < 0.8 ? M : Math.PI;
+    for (let i = 0; i < 8; i++) {
+        const delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < 1e-8) break;
+    }
+    return E;
+}
+
+/**
+ * Position (and velocity) on a Keplerian orbit around the planet
+ * @param {Object} elements - From toOrbitalElements()
+ * @param {number} time - Seconds since the epoch of the mean anomaly
+ * @param {THREE.Vector3} position - Receives the position
+ * @param {THREE.Vector3} [velocity] - Receives the velocity
+ * @param {number} [meanMotion] - Overrides the orbit's mean motion
+ * @returns {THREE.Vector3} position
+ */
+export function orbitState(elements, time, position, velocity, meanMotion = elements.meanMotion) {
+    const { semiMajorAxis: a, eccentricity: e } = elements;
+    const E = solveKepler(elements.meanAnomaly + meanMotion * time, e);
+    const cosE = Math.cos(E);
+    const sinE = Math.sin(E);
+    const minorScale = Math.sqrt(1 - e * e);
+
+    position.copy(elements.p).multiplyScalar(a * (cosE - e))
+        .addScaledVector(elements.q, a * minorScale * sinE);
+
+    if (velocity) {
+        // Fastest at periapsis, slowest at apoapsis
+        const rate = meanMotion / (1 - e * cosE);
+        velocity.copy(elements.p).multiplyScalar(-a * sinE * rate)
+            .addScaledVector(elements.q, a * minorScale * cosE * rate);
+    }
+    return position;
+}
+
+// Solaris color palette
+const colorPalette = {
+    redSun: 0xE07A5F,        // Muted coral red
+    redGlow: 0xFF6B6B,       // Accent red for glow
+    redLight: 0xE09080,      // Warm light tint
+    blueSun: 0x3D5A80,       // Deep muted blue
+    blueGlow: 0x8EE3EF,      // Accent cyan for glow
+    blueLight: 0x6B8FAA,     // Cool light tint
+    paleSun: 0xC9A66B,       // Faded gold
+    paleGlow: 0xF2CC8F,      // Accent gold for glow
+    paleLight: 0xD8C4A0      // Dusty light tint
+};
+
+// Red sun (larger, primary) - muted coral/terracotta
+const redSun = {
+    color: colorPalette.redSun,
+    size: 20,
+    glowSize: 45,
+    glowColor: colorPalette.redGlow,
+    lightIntensity: 0.9,  // Reduced from 1.2
+    pointIntensity: 0.5,
+    lightColor: colorPalette.redLight,
+    mass: 0.3, // In planet masses, for physics mode
+    orbit: {
+        semiMajorAxis: 250,
+        eccentricity: 0,
+        inclination: Math.PI / 6,
+        ascendingNode: 0,
+        argumentOfPeriapsis: 0,
+        meanAnomaly: 0,
+        meanMotion: 0.08
+    }
+};
+
+// Blue sun (smaller, secondary) - deep muted blue
+const blueSun = {
+    color: colorPalette.blueSun,
+    size: 12,
+    glowSize: 30,
+    glowColor: colorPalette.blueGlow,
+    lightIntensity: 0.6,  // Reduced from 0.8
+    pointIntensity: 0.3,
+    lightColor: colorPalette.blueLight,
+    mass: 0.15,
+    orbit: {
+        semiMajorAxis: 220,
+        eccentricity: 0,
+        inclination: -Math.PI / 8,
+        ascendingNode: 0,
+        argumentOfPeriapsis: 0,
+        meanAnomaly: Math.PI / 2,
+        meanMotion: 0.12
+    }
+};
+
+// Pale sun (small, distant third) - faded gold
+const paleSun = {
+    color: colorPalette.paleSun,
+    size: 8,
+    glowSize: 22,
+    glowColor: colorPalette.paleGlow,
+    lightIntensity: 0.35,
+    pointIntensity: 0.2,
+    lightColor: colorPalette.paleLight,
+    mass: 0.08,
+    orbit: {
+        semiMajorAxis: 280,
+        eccentricity: 0,
+        inclination: Math.PI / 3,
+        ascendingNode: 0,
+        argumentOfPeriapsis: 0,
+        meanAnomaly: Math.PI,
+        meanMotion: 0.05
+    }
+};
+
+/**
+ * Ready-made star systems for the `suns` option of createSuns
+ */
+export const sunSystems = {
+    single: [redSun],
+    binary: [redSun, blueSun],
+    trinary: [redSun, blueSun, paleSun]
+};
+
+/**
+ * Read a sun system from JSON
+ * All angles - orbital elements and mean motion (per second) - are in degrees,
+ * colors are hex strings such as "#E07A5F" or numbers
+ * @param {string|Object} json - JSON text or its parsed object, { name, suns: [...] }
+ * @returns {Array<Object>} Sun configs for the `suns` option of createSuns
+ */
+export function parseSunSystem(json) {
+    const system = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!Array.isArray(system.suns)) {
+        throw new Error('Sun system JSON needs a "suns" array');
+    }
+
+    const colorKeys = ['color', 'glowColor', 'lightColor'];
+    const angleKeys = ['inclination', 'ascendingNode', 'argumentOfPeriapsis', 'meanAnomaly', 'meanMotion',
+        'tilt', 'phaseOffset', 'speed'];
+
+    return system.suns.map(sun => {
+        const config = { ...sun, orbit: { ...sun.orbit } };
+        colorKeys.forEach(key => {
+            if (key in config) config[key] = new THREE.Color(config[key]).getHex();
+        });
+        angleKeys.forEach(key => {
+            if (key in config.orbit) config.orbit[key] = THREE.MathUtils.degToRad(config.orbit[key]);
+        });
+        return config;
+    });
+}
+
+/**
+ * Fetch and read a sun system JSON file, see parseSunSystem
+ * @param {string} url
+ * @returns {Promise<Array<Object>>} Sun configs for the `suns` option of createSuns
+ */
+export async function loadSunSystem(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load sun system ${url}: ${response.status}`);
+    }
+    return parseSunSystem(await response.json());
+}
+
+/**
+ * Create the suns of Solaris - two by default, anywhere from one to four
+ * By default the orbits are scripted circles with sinusoidal "chaos", 95% of which
+ * the ocean cancels. In physics mode the suns and the planet are integrated as a
+ * real three-body system and the ocean is a feedback controller holding the suns
+ * on their ideal orbits; the work it does is what the engineering patterns show
+ * @param {THREE.Scene} scene
+ * @param {Object} [options]
+ * @param {Array<Object>|string} [options.suns='binary'] - Sun configs (color, size, glowSize, glowColor,
+ * lightColor, lightIntensity, pointIntensity, mass and an orbit, see toOrbitalElements),
+ * or the name of one of the sunSystems
+ * @param {boolean|Object} [options.physics=false] - Integrate real gravity, optionally with settings:
+ * @param {number} [options.physics.stiffness=1.0] - Controller pull toward the ideal orbit, per second squared
+ * @param {number} [options.physics.damping=2.0] - Controller damping of the velocity error, per second
+ * @param {number} [options.physics.maxStep=0.05] - Longest integration step in seconds
+ * @param {number} [options.physics.referencePower=2] - Work per second reported as a load of 1
+ * @param {number} [options.physics.smoothing=1.0] - Seconds over which the reported load is averaged
+ * @param {number} [options.physics.maxCorrection=10] - Strongest corrective acceleration, so suns glide back
+ * @param {number} [options.stabilization=0.95] - Share of the chaos the ocean cancels, 0 (none) to 1
+ * @param {number} [options.stabilizationRate=0.25] - How fast the ocean's grip follows setStabilization(), per second
+ * @param {number} [options.syzygyAngle=0.05] - Radians from perfect alignment that still count as a syzygy
+ * @returns {THREE.EventDispatcher} API with update(), dispose(), getSuns(), getChaos(), the stabilization
+ * controls, the correction work and eclipse/syzygy events:
+ * 'eclipsestart' and 'eclipseend' ({ front, back, coverage }, sun indices and the covered share of the back sun),
+ * 'syzygystart' and 'syzygyend' ({ suns, alignment }, two sun indices and 'conjunction' or 'opposition')
+ */
+export function createSuns(scene, options = {}) {
     const suns = [];
     const sunLights = [];
     const glowSprites = [];
     let time = 0;
+    let totalChaos = 0;
 
-    // Solaris color palette
-    const colorPalette = {
-        redSun: 0xE07A5F,        // Muted coral red
-        redGlow: 0xFF6B6B,       // Accent red for glow
-        redLight: 0xE09080,      // Warm light tint
-        blueSun: 0x3D5A80,       // Deep muted blue
-        blueGlow: 0x8EE3EF,      // Accent cyan for glow
-        blueLight: 0x6B8FAA      // Cool light tint
-    };
+    const physicsOptions = options.physics === true ? {} : options.physics;
+    const physics = physicsOptions ? {
+        stiffness: physicsOptions.stiffness ?? 1.0,
+        damping: physicsOptions.damping ?? 2.0,
+        maxStep: physicsOptions.maxStep || 0.05,
+        referencePower: physicsOptions.referencePower || 2,
+        smoothing: physicsOptions.smoothing || 1.0,
+        maxCorrection: physicsOptions.maxCorrection || 10
+    } : null;
+
+    // The ocean's grip on the orbits eases toward the requested strength rather than snapping
+    let targetStabilization = THREE.MathUtils.clamp(options.stabilization ?? 0.95, 0, 1);
+    let stabilization = targetStabilization;
+    const stabilizationRate = options.stabilizationRate || 0.25;
+    let strain = 0; // How far the suns have strayed from their ideal orbits, 0 to 1
+
+    // Eclipses and alignments as seen from the camera, per pair of suns
+    const syzygyAngle = options.syzygyAngle ?? 0.05;
+    const pairs = new Map(); // 'i:j' -> { eclipse, syzygy }
+    const api = new THREE.EventDispatcher();
+
+    // Physics state: the planet and the suns, in an inertial frame
+    const bodies = [];
+    let correctionWork = 0; // Work done by the ocean during the last update
+    let correctionLoad = 0; // Smoothed work per second, 1 = referencePower
 
     //Create glow texture for corona effect
     function createGlowTexture(color) {
@@ -37,7 +301,9 @@ export function createSuns(scene) {
         ctx.fillStyle = gradient;
         ctx.fillRect(0, 0, 256, 256);
 
-        return new THREE.CanvasTexture(canvas);
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace; // Canvas pixels are sRGB
+        return texture;
     }
 
     // Create shader material with muted, alien appearance
@@ -98,6 +364,8 @@ export function createSuns(scene) {
                 color *= uIntensity;
                 
                 gl_FragColor = vec4(color, 1.0);
+                #include <tonemapping_fragment>
+                #include <colorspace_fragment>
             }
          `
         });
@@ -136,20 +404,29 @@ export function createSuns(scene) {
         group.add(sprite);
         glowSprites.push(sprite);
 
+        // Sphere, glow and corona all bloom and show in the ocean's reflections
+        [sunMesh, glowMesh, sprite].forEach((object) => {
+            object.layers.enable(BLOOM_LAYER);
+            object.layers.enable(SKY_LAYER);
+        });
+
         // Position the sun
-        group.position.copy(config.position);
+        const orbit = toOrbitalElements(config.orbit);
+        const position = config.position || orbitState(orbit, 0, new THREE.Vector3());
+        group.position.copy(position);
         scene.add(group);
 
         // Add directional light - more subtle
         const light = new THREE.DirectionalLight(config.lightColor, config.lightIntensity);
-        light.position.copy(config.position);
+        light.position.copy(position);
+        // Formation shadows come from SolarisShadows, which the ocean's shader samples
         light.castShadow = false;
         scene.add(light);
         sunLights.push(light);
 
         // Add point light for local illumination - softer
         const pointLight = new THREE.PointLight(config.color, config.lightIntensity * 0.4, 300);
-        pointLight.position.copy(config.position);
+        pointLight.position.copy(position);
         scene.add(pointLight);
 
         return {
@@ -159,137 +436,340 @@ export function createSuns(scene) {
             sprite,
             light,
             pointLight,
-            orbitConfig: config.orbit,
+            orbit,
+            size: config.size,
+            occlusion: 0, // Share of the disk hidden behind a nearer sun
+            mass: config.mass ?? 0.1,
+            lightIntensity: config.lightIntensity,
+            pointIntensity: config.pointIntensity ?? config.lightIntensity * 0.5,
+            idealPosition: new THREE.Vector3(), // Where the ocean wants the sun
+            drift: new THREE.Vector3(), // Scripted orbits: wander accumulated while the ocean falters
             position: group.position, // Direct reference for engineering visualization
             color: new THREE.Color(config.color) // Color reference for engineering
         };
     }
 
-    // Initialize both suns with new palette
+    // Build the configured suns
     function init() {
-        // Red sun (larger, primary) - muted coral/terracotta
-        const redSun = createSun({
-            color: colorPalette.redSun,
-            position: new THREE.Vector3(150, 80, -200),
-            size: 20,
-            glowSize: 45,
-            glowColor: colorPalette.redGlow,
-            lightIntensity: 0.9,  // Reduced from 1.2
-            lightColor: colorPalette.redLight,
-            orbit: {
-                radius: 250,
-                speed: 0.08,
-                tilt: Math.PI / 6,
-                phaseOffset: 0
-            }
+        let configs = options.suns || sunSystems.binary;
+        if (typeof configs === 'string') {
+            if (!sunSystems[configs]) console.warn(`Sun system "${configs}" not found`);
+            configs = sunSystems[configs] || sunSystems.binary;
+        }
+        if (configs.length === 0 || configs.length > MAX_SUNS) {
+            console.warn(`Solaris supports 1 to ${MAX_SUNS} suns, got ${configs.length}`);
+            configs = configs.length === 0 ? sunSystems.binary : configs.slice(0, MAX_SUNS);
+        }
+
+        configs.forEach(config => suns.push(createSun(config)));
+
+        if (physics) initPhysics();
+    }
+
+    // Gravity is scaled so the first sun keeps its configured speed;
+    // the others get the Kepler speed for their orbit and their own mass
+    function initPhysics() {
+        const first = suns[0].orbit;
+        const gravity = first.meanMotion * first.meanMotion * Math.pow(first.semiMajorAxis, 3) / (1 + suns[0].mass);
+
+        bodies.push({
+            mass: 1,
+            position: new THREE.Vector3(),
+            velocity: new THREE.Vector3(),
+            acceleration: new THREE.Vector3()
         });
 
-        // Blue sun (smaller, secondary) - deep muted blue
-        const blueSun = createSun({
-            color: colorPalette.blueSun,
-            position: new THREE.Vector3(-120, 60, -180),
-            size: 12,
-            glowSize: 30,
-            glowColor: colorPalette.blueGlow,
-            lightIntensity: 0.6,  // Reduced from 0.8
-            lightColor: colorPalette.blueLight,
-            orbit: {
-                radius: 220,
-                speed: 0.12,
-                tilt: -Math.PI / 8,
-                phaseOffset: Math.PI / 2
-            }
+        suns.forEach(sun => {
+            const orbit = sun.orbit;
+            const meanMotion = Math.sqrt(gravity * (1 + sun.mass) / Math.pow(orbit.semiMajorAxis, 3));
+            const position = new THREE.Vector3();
+            const velocity = new THREE.Vector3();
+            orbitState(orbit, 0, position, velocity, meanMotion);
+            bodies.push({
+                mass: sun.mass,
+                sun,
+                meanMotion,
+                softening: sun.sunMesh.geometry.parameters.radius,
+                position,
+                velocity,
+                acceleration: new THREE.Vector3(),
+                target: new THREE.Vector3(),
+                targetVelocity: new THREE.Vector3(),
+                force: new THREE.Vector3()
+            });
         });
 
-        suns.push(redSun, blueSun);
+        physics.gravity = gravity;
+        computeAccelerations(0);
+        bodies.forEach(body => body.sun && body.sun.group.position.copy(body.position));
+    }
+
+    const _offset = new THREE.Vector3();
+    const _relative = new THREE.Vector3();
+    const _relativeVelocity = new THREE.Vector3();
+
+    // Mutual gravity of all bodies plus the ocean's corrective forces;
+    // returns the power the ocean spends at this instant
+    function computeAccelerations(atTime) {
+        bodies.forEach(body => body.acceleration.set(0, 0, 0));
+
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const a = bodies[i];
+                const b = bodies[j];
+                const softening = (a.softening || 0) + (b.softening || 0);
+                _offset.subVectors(b.position, a.position);
+                const distanceSq = _offset.lengthSq() + softening * softening;
+                const strength = physics.gravity / (distanceSq * Math.sqrt(distanceSq));
+                a.acceleration.addScaledVector(_offset, strength * b.mass);
+                b.acceleration.addScaledVector(_offset, -strength * a.mass);
+            }
+        }
+
+        // PD controller on each sun's deviation from its ideal orbit around the planet;
+        // the ocean pushes against the planet, which takes the reaction
+        const planet = bodies[0];
+        let power = 0;
+        for (let i = 1; i < bodies.length; i++) {
+            const body = bodies[i];
+            orbitState(body.sun.orbit, atTime, body.target, body.targetVelocity, body.meanMotion);
+
+            _relative.subVectors(body.position, planet.position);
+            _relativeVelocity.subVectors(body.velocity, planet.velocity);
+
+            body.force.subVectors(body.target, _relative).multiplyScalar(physics.stiffness)
+                .addScaledVector(body.targetVelocity.sub(_relativeVelocity), physics.damping)
+                .clampLength(0, physics.maxCorrection)
+                .multiplyScalar(body.mass * stabilization);
+
+            body.acceleration.addScaledVector(body.force, 1 / body.mass);
+            planet.acceleration.addScaledVector(body.force, -1 / planet.mass);
+
+            // Braking costs the ocean as much as pushing
+            power += Math.abs(body.force.dot(_relativeVelocity));
+        }
+        return power;
+    }
+
+    // Velocity-Verlet, sub-stepped so time-lapse stays stable
+    function stepPhysics(deltaTime) {
+        const steps = Math.ceil(deltaTime / physics.maxStep);
+        const step = deltaTime / steps;
+        const startTime = time - deltaTime;
+        let work = 0;
+
+        for (let s = 1; s <= steps; s++) {
+            bodies.forEach(body => {
+                body.velocity.addScaledVector(body.acceleration, step * 0.5);
+                body.position.addScaledVector(body.velocity, step);
+            });
+            // Forces use the half-step velocity for the controller's damping term
+            const power = computeAccelerations(startTime + s * step);
+            bodies.forEach(body => body.velocity.addScaledVector(body.acceleration, step * 0.5));
+            work += power * step;
+        }
+
+        correctionWork = work;
+        if (deltaTime > 0) {
+            const blend = 1 - Math.exp(-deltaTime / physics.smoothing);
+            correctionLoad += (work / deltaTime / physics.referencePower - correctionLoad) * blend;
+        }
+        totalChaos = Math.min(correctionLoad, 2);
+
+        // Suns are shown relative to the planet, which stays at the origin
+        const planet = bodies[0];
+        for (let i = 1; i < bodies.length; i++) {
+            bodies[i].sun.group.position.subVectors(bodies[i].position, planet.position);
+            bodies[i].sun.idealPosition.copy(bodies[i].target);
+        }
+    }
+
+    // Overlap of two disks as a share of the second one's area
+    function diskCoverage(frontRadius, backRadius, separation) {
+        if (separation >= frontRadius + backRadius) return 0;
+        if (separation <= frontRadius - backRadius) return 1;
+        if (separation <= backRadius - frontRadius) return (frontRadius * frontRadius) / (backRadius * backRadius);
+
+        const r1 = frontRadius, r2 = backRadius, d = separation;
+        const a1 = r1 * r1 * Math.acos(THREE.MathUtils.clamp((d * d + r1 * r1 - r2 * r2) / (2 * d * r1), -1, 1));
+        const a2 = r2 * r2 * Math.acos(THREE.MathUtils.clamp((d * d + r2 * r2 - r1 * r1) / (2 * d * r2), -1, 1));
+        const lens = 0.5 * Math.sqrt(Math.max(0, (-d + r1 + r2) * (d + r1 - r2) * (d - r1 + r2) * (d + r1 + r2)));
+        return (a1 + a2 - lens) / (Math.PI * r2 * r2);
+    }
+
+    const _toFirst = new THREE.Vector3();
+    const _toSecond = new THREE.Vector3();
+
+    // Find suns passing in front of each other and suns lining up with the planet,
+    // as seen from the camera, using the real sun radii
+    function detectEclipses(camera) {
+        suns.forEach(sun => sun.occlusion = 0);
+
+        for (let i = 0; i < suns.length; i++) {
+            for (let j = i + 1; j < suns.length; j++) {
+                const key = `${i}:${j}`;
+                const state = pairs.get(key) || { eclipse: null, syzygy: null };
+                pairs.set(key, state);
+
+                const distanceI = _toFirst.subVectors(suns[i].group.position, camera.position).length();
+                const distanceJ = _toSecond.subVectors(suns[j].group.position, camera.position).length();
+                const separation = _toFirst.angleTo(_toSecond);
+
+                // Angular radii of the actual spheres
+                const radiusI = Math.asin(Math.min(suns[i].size / distanceI, 1));
+                const radiusJ = Math.asin(Math.min(suns[j].size / distanceJ, 1));
+                const [front, back] = distanceI < distanceJ ? [i, j] : [j, i];
+                const coverage = distanceI < distanceJ
+                    ? diskCoverage(radiusI, radiusJ, separation)
+                    : diskCoverage(radiusJ, radiusI, separation);
+
+                if (coverage > 0) {
+                    suns[back].occlusion = Math.max(suns[back].occlusion, coverage);
+                    if (!state.eclipse) {
+                        state.eclipse = { front, back };
+                        api.dispatchEvent({ type: 'eclipsestart', front, back, coverage });
+                    }
+                    state.eclipse.coverage = coverage;
+                } else if (state.eclipse) {
+                    api.dispatchEvent({ type: 'eclipseend', ...state.eclipse, coverage: 0 });
+                    state.eclipse = null;
+                }
+
+                // Syzygy: both suns on one line through the planet - together in the sky or opposite
+                const alignment = separation < syzygyAngle ? 'conjunction'
+                    : separation > Math.PI - syzygyAngle ? 'opposition' : null;
+                // A little slack before ending, so shimmer doesn't make it flicker
+                const stillAligned = state.syzygy === 'conjunction' ? separation < syzygyAngle * 1.2
+                    : state.syzygy === 'opposition' ? separation > Math.PI - syzygyAngle * 1.2 : false;
+
+                if (alignment && !state.syzygy) {
+                    state.syzygy = alignment;
+                    api.dispatchEvent({ type: 'syzygystart', suns: [i, j], alignment });
+                } else if (state.syzygy && !stillAligned) {
+                    api.dispatchEvent({ type: 'syzygyend', suns: [i, j], alignment: state.syzygy });
+                    state.syzygy = null;
+                }
+            }
+        }
     }
 
     // Animation update function with orbital instability and ocean correction
-    function update(deltaTime) {
+    // Pass the camera to detect eclipses and alignments as it sees them
+    function update(deltaTime, camera) {
         time += deltaTime;
 
-        // Calculate gravitational chaos between the two suns
+        const step = stabilizationRate * deltaTime;
+        stabilization += THREE.MathUtils.clamp(targetStabilization - stabilization, -step, step);
+
+        if (physics) {
+            stepPhysics(deltaTime);
+        } else {
+            updateScriptedOrbits(deltaTime);
+        }
+
+        // Strain: the worst deviation, relative to the 8% that would be catastrophic,
+        // or the closest pass - a sun swinging in toward periapsis is hard to hold
+        strain = 0;
+        suns.forEach(sun => {
+            const { semiMajorAxis } = sun.orbit;
+            const deviation = sun.group.position.distanceTo(sun.idealPosition) / (semiMajorAxis * 0.08);
+            const closeness = (Math.pow(semiMajorAxis / sun.idealPosition.length(), 2) - 1) * 0.5;
+            strain = Math.max(strain, THREE.MathUtils.clamp(Math.max(deviation, closeness), 0, 1));
+        });
+        // A straining ocean erupts more often
+        totalChaos = Math.min(totalChaos + strain, 2);
+
+        if (camera) detectEclipses(camera);
+
+        suns.forEach((sun, index) => {
+            const orbit = sun.orbit;
+
+            // Update the direct position reference for engineering visualization
+            sun.position = sun.group.position;
+            
+            // Slower, more mysterious rotation
+            sun.sunMesh.rotation.y += deltaTime * 0.05;
+            sun.sunMesh.material.uniforms.uTime.value = time;
+            
+            // Dynamic intensity based on height above horizon
+            const heightFactor = Math.min(Math.max(0, sun.group.position.y) / orbit.semiMajorAxis, 1);
+            // An eclipsed sun loses the light of its covered share
+            const intensityMultiplier = (0.3 + heightFactor * 0.7) * (1 - sun.occlusion);
+            
+            // Enhanced pulsing that correlates with chaos/engineering activity
+            // When chaos is high, suns pulse more dramatically (ocean is working harder)
+            const chaosPulse = 1.0 + (totalChaos * 0.15); // Subtle intensity increase during high chaos
+            const basePulse = Math.sin(time * 1.5 + index) * 0.08 + 0.92;
+            const pulse = basePulse * chaosPulse;
+            
+            sun.glowMesh.material.opacity = 0.25 * pulse * intensityMultiplier;
+            sun.sprite.material.opacity = 0.4 * pulse * intensityMultiplier;
+            
+            // Update lights with softer intensity and chaos response
+            sun.light.intensity = sun.lightIntensity * intensityMultiplier * chaosPulse;
+            sun.light.position.copy(sun.group.position);
+            
+            sun.pointLight.intensity = sun.pointIntensity * intensityMultiplier * chaosPulse;
+            sun.pointLight.position.copy(sun.group.position);
+        });
+    }
+
+    // Scripted orbits with sinusoidal chaos, most of it cancelled by the ocean
+    function updateScriptedOrbits(deltaTime) {
+        // Calculate gravitational chaos between every pair of suns
         // This represents the n-body problem that should destabilize the orbit
-        let redSunAngle = 0;
-        let blueSunAngle = 0;
-        
-        if (suns.length >= 2) {
-            redSunAngle = time * suns[0].orbitConfig.speed + suns[0].orbitConfig.phaseOffset;
-            blueSunAngle = time * suns[1].orbitConfig.speed + suns[1].orbitConfig.phaseOffset;
+        const angles = suns.map(sun => time * sun.orbit.meanMotion + sun.orbit.meanAnomaly);
+        let pairInterference = 0;
+        let pairs = 0;
+        for (let i = 0; i < angles.length; i++) {
+            for (let j = i + 1; j < angles.length; j++) {
+                pairInterference += Math.sin(angles[i] - angles[j]);
+                pairs++;
+            }
         }
         
-        // Gravitational interference between suns (should cause chaos)
-        const sunInterference = Math.sin(redSunAngle - blueSunAngle) * Math.cos(time * 0.3);
+        // Gravitational interference between suns (should cause chaos); a lone sun has none
+        const sunInterference = (pairs > 0 ? pairInterference / pairs : 0) * Math.cos(time * 0.3);
         const resonanceEffect = Math.sin(time * 0.17) * Math.cos(time * 0.23); // Chaotic frequencies
         
         // Calculate total chaos magnitude for engineering intensity scaling
-        const totalChaos = Math.abs(sunInterference) + Math.abs(resonanceEffect);
+        totalChaos = Math.abs(sunInterference) + Math.abs(resonanceEffect);
         
         suns.forEach((sun, index) => {
-            const orbit = sun.orbitConfig;
+            const orbit = sun.orbit;
             
-            // Calculate angle in orbit
-            const angle = time * orbit.speed + orbit.phaseOffset;
-            
-            // Create circular orbit in XZ plane
-            const baseX = Math.cos(angle) * orbit.radius;
-            const baseY = Math.sin(angle) * orbit.radius;
-            
-            // Apply orbital tilt to create varied sky paths
-            const tiltedY = baseY * Math.cos(orbit.tilt);
-            const tiltedZ = -baseY * Math.sin(orbit.tilt);
+            // Follow the Kepler orbit, fastest at periapsis
+            orbitState(orbit, time, sun.idealPosition);
             
             // GRAVITATIONAL CHAOS - what should happen without the ocean
-            // Multiple chaotic perturbations at different frequencies
-            const chaosMagnitude = orbit.radius * 0.08; // 8% deviation would be catastrophic
+            // Multiple chaotic perturbations at different frequencies, strongest on close passes
+            const proximity = orbit.semiMajorAxis / sun.idealPosition.length();
+            const chaosMagnitude = orbit.semiMajorAxis * 0.08 * proximity; // 8% deviation would be catastrophic
             
             const chaosX = Math.sin(time * 0.31 + index * Math.PI) * chaosMagnitude * sunInterference;
             const chaosY = Math.cos(time * 0.19 + index * 1.5) * chaosMagnitude * resonanceEffect;
             const chaosZ = Math.sin(time * 0.27 + index * 0.7) * chaosMagnitude * (sunInterference + resonanceEffect) * 0.5;
             
             // OCEAN'S STABILIZING CORRECTION
-            // The ocean "senses" and counteracts 95% of the chaos
+            // The ocean "senses" and counteracts 95% of the chaos by default
             // Leaving only 5% as visible "shimmer" - proof of the work being done
-            const oceanCorrectionFactor = 0.95;
+            const oceanCorrectionFactor = stabilization;
             const stabilizedChaosX = chaosX * (1.0 - oceanCorrectionFactor);
             const stabilizedChaosY = chaosY * (1.0 - oceanCorrectionFactor);
             const stabilizedChaosZ = chaosZ * (1.0 - oceanCorrectionFactor);
+
+            // Uncancelled chaos accumulates into drift; the ocean reels it back in
+            sun.drift.x += chaosX * (1.0 - oceanCorrectionFactor) * 0.3 * deltaTime;
+            sun.drift.y += chaosY * (1.0 - oceanCorrectionFactor) * 0.3 * deltaTime;
+            sun.drift.z += chaosZ * (1.0 - oceanCorrectionFactor) * 0.3 * deltaTime;
+            sun.drift.multiplyScalar(Math.exp(-oceanCorrectionFactor * 0.5 * deltaTime));
             
             // Set sun position with subtle remaining instability
             sun.group.position.set(
-                baseX + stabilizedChaosX, 
-                tiltedY + stabilizedChaosY, 
-                tiltedZ + stabilizedChaosZ
+                sun.idealPosition.x + stabilizedChaosX + sun.drift.x, 
+                sun.idealPosition.y + stabilizedChaosY + sun.drift.y, 
+                sun.idealPosition.z + stabilizedChaosZ + sun.drift.z
             );
-            
-            // Update the direct position reference for engineering visualization
-            sun.position = sun.group.position;
-            
-            // Slower, more mysterious rotation
-            sun.sunMesh.rotation.y += deltaTime * 0.05;
-            sun.sunMesh.material.uniforms.uTime.value = time;
-            
-            // Dynamic intensity based on height above horizon
-            const heightFactor = Math.max(0, sun.group.position.y) / orbit.radius;
-            const intensityMultiplier = 0.3 + heightFactor * 0.7;
-            
-            // Enhanced pulsing that correlates with chaos/engineering activity
-            // When chaos is high, suns pulse more dramatically (ocean is working harder)
-            const chaosPulse = 1.0 + (totalChaos * 0.15); // Subtle intensity increase during high chaos
-            const basePulse = Math.sin(time * 1.5 + index) * 0.08 + 0.92;
-            const pulse = basePulse * chaosPulse;
-            
-            sun.glowMesh.material.opacity = 0.25 * pulse * intensityMultiplier;
-            sun.sprite.material.opacity = 0.4 * pulse * intensityMultiplier;
-            
-            // Update lights with softer intensity and chaos response
-            const baseLightIntensity = sun.orbitConfig.speed > 0.1 ? 0.6 : 0.9;
-            sun.light.intensity = baseLightIntensity * intensityMultiplier * chaosPulse;
-            sun.light.position.copy(sun.group.position);
-            
-            const basePointIntensity = sun.orbitConfig.speed > 0.1 ? 0.3 : 0.5;
-            sun.pointLight.intensity = basePointIntensity * intensityMultiplier * chaosPulse;
-            sun.pointLight.position.copy(sun.group.position);
         });
     }
 
@@ -303,22 +783,42 @@ export function createSuns(scene) {
             sun.sunMesh.geometry.dispose();
             sun.sunMesh.material.dispose();
             sun.glowMesh.geometry.dispose();
-            sun.glowMesh.material.map.dispose();
+            sun.glowMesh.material.dispose();
+            sun.sprite.material.map.dispose();
             sun.sprite.material.dispose();
         });
+        suns.length = 0;
     }
 
     // Initialize suns
     init();
 
     // Return public API
-    return {
+    return Object.assign(api, {
         update,
         dispose,
+        // Gravitational chaos the ocean is currently counteracting, 0 to 2
+        getChaos: () => totalChaos,
+        isPhysical: () => physics !== null,
+        // Share of the chaos the ocean cancels, 0 to 1; changes are eased in over a few seconds
+        setStabilization: (strength) => {
+            targetStabilization = THREE.MathUtils.clamp(strength, 0, 1);
+        },
+        getStabilization: () => targetStabilization,
+        // How far the suns have strayed from their ideal orbits, 0 (held) to 1 (8% off)
+        getStrain: () => strain,
+        // Physics mode: work the ocean did holding the suns during the last update
+        getCorrectionWork: () => correctionWork,
+        // Physics mode: smoothed work per second, 1 = a typical load; null for scripted orbits
+        getCorrectionLoad: () => physics ? correctionLoad : null,
         getSuns: () => suns.map(sun => ({
             position: sun.position,
             color: sun.color,
-            group: sun.group
-        }))
-    };
+            group: sun.group,
+            orbitRadius: sun.orbit.semiMajorAxis,
+            size: sun.size
+        })),
+        // Eclipses in progress, { front, back, coverage } each
+        getEclipses: () => [...pairs.values()].filter(state => state.eclipse).map(state => ({ ...state.eclipse }))
+    });
 }
@@ -0,0 +1,281 @@
+import * as THREE from 'three';
+
+/**
+ * Wave propagation on the Solaris ocean
+ * A damped wave equation solved on the GPU over an equirectangular heightfield
+ * wrapped around the planet. Impulses from eruptions, formations and observers
+ * spread outward as ripples and interfere across the whole sphere
+ */
+
+const MAX_IMPULSES = 16;
+
+// Fullscreen pass, shared by the surface simulations
+export const simulationVertexShader = `
+varying vec2 vUv;
+
+void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+/**
+ * GLSL helpers mapping between directions from the planet center and
+ * equirectangular texture coordinates, shared by the surface simulations
+ */
+export const equirectangularChunk = `
+#define PI 3.14159265359
+
+vec3 uvToDirection(vec2 uv) {
+    float lon = (uv.x - 0.5) * 2.0 * PI;
+    float lat = (uv.y - 0.5) * PI;
+    return vec3(cos(lat) * cos(lon), sin(lat), cos(lat) * sin(lon));
+}
+
+vec2 directionToUv(vec3 dir) {
+    return vec2(
+        atan(dir.z, dir.x) / (2.0 * PI) + 0.5,
+        asin(clamp(dir.y, -1.0, 1.0)) / PI + 0.5
+    );
+}
+`;
+
+// Heightfield state: r = current height, g = previous height
+const simulationFragmentShader = `
+${equirectangularChunk}
+uniform sampler2D uState;
+uniform float uStepAngle;
+uniform float uCourant2;
+uniform float uDamping;
+uniform vec4 uImpulses[${MAX_IMPULSES}];
+uniform float uImpulseRadii[${MAX_IMPULSES}];
+uniform int uImpulseCount;
+varying vec2 vUv;
+
+float heightAt(vec3 dir) {
+    return texture2D(uState, directionToUv(dir)).r;
+}
+
+void main() {
+    vec2 state = texture2D(uState, vUv).rg;
+    vec3 dir = uvToDirection(vUv);
+
+    // Neighbours a fixed angle away along the tangent plane, so the stencil
+    // keeps the same size everywhere instead of collapsing at the poles
+    vec3 east = cross(vec3(0.0, 1.0, 0.0), dir);
+    if (dot(east, east) < 1e-6) east = vec3(0.0, 0.0, 1.0);
+    east = normalize(east);
+    vec3 north = cross(dir, east);
+
+    float c = cos(uStepAngle);
+    float s = sin(uStepAngle);
+    float neighbours = heightAt(dir * c + east * s) + heightAt(dir * c - east * s) +
+        heightAt(dir * c + north * s) + heightAt(dir * c - north * s);
+    float laplacian = neighbours - 4.0 * state.r;
+
+    float height = (2.0 * state.r - state.g + uCourant2 * laplacian) * uDamping;
+
+    // Gaussian impulses at disturbed points
+    for (int i = 0; i < ${MAX_IMPULSES}; i++) {
+        if (i >= uImpulseCount) break;
+        float angle = acos(clamp(dot(dir, uImpulses[i].xyz), -1.0, 1.0));
+        float radius = uImpulseRadii[i];
+        height += uImpulses[i].w * exp(-(angle * angle) / (radius * radius));
+    }
+
+    gl_FragColor = vec4(height, state.r, 0.0, 1.0);
+}
+`;
+
+export class SolarisWaves {
+    static MAX_IMPULSES = MAX_IMPULSES;
+
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renderer used to run the simulation
+     * @param {Object} options
+     * @param {number} [options.resolution=256] - Heightfield width; the height is half of it
+     * @param {number} [options.waveSpeed=0.25] - Propagation speed in radians per second
+     * @param {number} [options.damping=0.6] - Fraction of wave energy kept per second
+     * @param {number} [options.timestep=1/60] - Seconds per simulation step
+     * @param {number} [options.maxSubSteps=16] - Most simulation steps per update; beyond that the steps
+     * grow instead, so a time-lapse never loses time (ripples slow down once the scheme's stability limit is hit)
+     */
+    constructor(renderer, options = {}) {
+        this.renderer = renderer;
+
+        this.config = {
+            resolution: options.resolution || 256,
+            waveSpeed: options.waveSpeed ?? 0.25,
+            damping: options.damping ?? 0.6,
+            timestep: options.timestep || 1 / 60,
+            maxSubSteps: options.maxSubSteps || 16
+        };
+
+        this.impulses = [];
+        this.accumulator = 0;
+        this.current = 0;
+
+        this.init();
+    }
+
+    init() {
+        const width = this.config.resolution;
+        const height = width / 2;
+
+        // Two targets hold the state; each step reads one and writes the other
+        this.targets = [0, 1].map(() => new THREE.WebGLRenderTarget(width, height, {
+            type: THREE.HalfFloatType,
+            format: THREE.RGBAFormat,
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            wrapS: THREE.RepeatWrapping,
+            wrapT: THREE.ClampToEdgeWrapping,
+            depthBuffer: false,
+            stencilBuffer: false,
+            generateMipmaps: false
+        }));
+
+        this.uniforms = {
+            uState: { value: null },
+            uStepAngle: { value: Math.PI / height },
+            uCourant2: { value: 0 },
+            uDamping: { value: 1 },
+            uImpulses: { value: Array.from({ length: MAX_IMPULSES }, () => new THREE.Vector4()) },
+            uImpulseRadii: { value: new Array(MAX_IMPULSES).fill(1) },
+            uImpulseCount: { value: 0 }
+        };
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: simulationVertexShader,
+            fragmentShader: simulationFragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.quad.frustumCulled = false;
+        this.simulationScene = new THREE.Scene();
+        this.simulationScene.add(this.quad);
+        this.simulationCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+        this.clear();
+    }
+
+    /**
+     * Disturb the surface at a point
+     * @param {THREE.Vector3} direction - Direction from the planet center, in the ocean's local space
+     * @param {number} amplitude - Height of the bump in world units (negative for a dip)
+     * @param {number} [radius=0.1] - Angular radius of the bump in radians
+     * @param {number} [duration] - Simulation seconds the bump is pushed up over (one step by default);
+     * continuous sources pass their own step, so the result doesn't depend on the frame rate
+     */
+    addImpulse(direction, amplitude, radius = 0.1, duration = this.config.timestep) {
+        // Applied as a rate times each simulated step until the duration is used up
+        this.impulses.push({
+            direction: direction.clone().normalize(),
+            rate: amplitude / Math.max(duration, 1e-6),
+            remaining: duration,
+            radius
+        });
+
+        // Continuous sources must not pile up while no step runs
+        if (this.impulses.length > MAX_IMPULSES * 4) {
+            this.impulses.shift();
+        }
+    }
+
+    /**
+     * Advance the simulation
+     * @param {number} deltaTime - Simulation seconds since the last update
+     */
+    update(deltaTime) {
+        const { timestep, maxSubSteps, waveSpeed, damping } = this.config;
+
+        this.accumulator += deltaTime;
+        let steps = Math.floor(this.accumulator / timestep);
+        let stepSize = timestep;
+        if (steps > maxSubSteps) {
+            // Too many steps for one frame: take fewer, longer ones, as the clock does
+            stepSize = this.accumulator / maxSubSteps;
+            steps = maxSubSteps;
+            this.accumulator = 0;
+        } else {
+            this.accumulator -= steps * timestep;
+        }
+        if (steps === 0) return;
+
+        // Stay inside the stable range of the explicit scheme
+        const courant = waveSpeed * stepSize / this.uniforms.uStepAngle.value;
+        this.uniforms.uCourant2.value = Math.min(courant * courant, 0.45);
+        this.uniforms.uDamping.value = Math.pow(damping, stepSize);
+
+        const previousTarget = this.renderer.getRenderTarget();
+
+        for (let i = 0; i < steps; i++) {
+            this.uploadImpulses(stepSize);
+
+            const next = 1 - this.current;
+            this.uniforms.uState.value = this.targets[this.current].texture;
+            this.renderer.setRenderTarget(this.targets[next]);
+            this.renderer.render(this.simulationScene, this.simulationCamera);
+            this.current = next;
+        }
+
+        this.renderer.setRenderTarget(previousTarget);
+    }
+
+    // Move queued impulses into the shader, as many as fit in one step, each for its share of the step
+    uploadImpulses(stepSize) {
+        const batch = this.impulses.slice(0, MAX_IMPULSES);
+
+        batch.forEach((impulse, i) => {
+            const { direction, rate, radius } = impulse;
+            const span = Math.min(stepSize, impulse.remaining);
+            impulse.remaining -= span;
+            this.uniforms.uImpulses.value[i].set(direction.x, direction.y, direction.z, rate * span);
+            this.uniforms.uImpulseRadii.value[i] = radius;
+        });
+        this.uniforms.uImpulseCount.value = batch.length;
+
+        this.impulses = this.impulses.filter(impulse => impulse.remaining > 1e-6);
+    }
+
+    /**
+     * Get the heightfield texture (height in the red channel)
+     * Equirectangular: u = atan(z, x) / 2PI + 0.5, v = asin(y) / PI + 0.5
+     * @returns {THREE.Texture}
+     */
+    getTexture() {
+        return this.targets[this.current].texture;
+    }
+
+    /**
+     * Flatten the ocean again
+     */
+    clear() {
+        const previousTarget = this.renderer.getRenderTarget();
+        const previousClearColor = this.renderer.getClearColor(new THREE.Color());
+        const previousClearAlpha = this.renderer.getClearAlpha();
+
+        this.renderer.setClearColor(0x000000, 0);
+        this.targets.forEach(target => {
+            this.renderer.setRenderTarget(target);
+            this.renderer.clear(true, false, false);
+        });
+
+        this.renderer.setRenderTarget(previousTarget);
+        this.renderer.setClearColor(previousClearColor, previousClearAlpha);
+        this.impulses = [];
+        this.accumulator = 0;
+    }
+
+    dispose() {
+        this.targets.forEach(target => target.dispose());
+        this.quad.geometry.dispose();
+        this.material.dispose();
+        this.impulses = [];
+    }
+}
+
+export default SolarisWaves;